@@ -0,0 +1,264 @@
+import fs from 'fs';
+import path from 'path';
+
+// Claude request settings for the chat: model, max_tokens, temperature, tool_choice,
+// the system prompt template and prompt caching.
+// Loaded from the JSON file named by CHAT_CONFIG_FILE, then environment variables:
+// {
+//   "model": "claude-sonnet-4-20250514",
+//   "max_tokens": 2000,
+//   "temperature": 0.3,
+//   "tool_choice": "auto",
+//   "system_prompt_file": "prompt.txt",
+//   "prompt_variables": { "company": "Acme Logistics" },
+//   "prompt_caching": true,
+//   "overrides": {
+//     "model": ["claude-sonnet-4-20250514", "claude-3-5-haiku-20241022"],
+//     "max_tokens": { "min": 256, "max": 4000 },
+//     "temperature": { "min": 0, "max": 1 },
+//     "tool_choice": ["auto", "none"]
+//   }
+// }
+// "overrides" lists what a chat request may change in its "options"; anything else is rejected.
+
+const DEFAULT_SYSTEM_PROMPT = `You are a helpful AI assistant with access to Mapbox mapping and location services. You can help with:
+- Geocoding: Convert addresses to coordinates and vice versa
+- Batch Geocoding: Geocode many addresses in a single geocode_batch call instead of one call per address
+- Directions: Get driving, walking, or cycling routes between locations
+- Static Maps: Generate map images with markers and custom styling
+- Route Maps: Generate visual route maps with numbered waypoints and color-coded alternative routes
+- Matrix: Calculate travel times and distances between multiple points
+- Isochrones: Show the area reachable within a travel time or distance
+- Map Matching: Snap recorded GPS traces onto the road network
+- Route Optimization: Find the best order to visit multiple stops
+- Geometry: Use geo_compute for distances, bearings, bounding boxes, buffers and polyline decoding instead of calculating them yourself
+
+When users ask to "show" a route or want to "see" directions, first use get_directions to get route details, then use get_route_map with the same coordinates and the polyline from the directions response (or the polylines, to show alternatives) to create visual maps. get_route_map can also look up the route itself when only coordinates are given.
+For optimize_route results, pass ordered_coordinates and the polyline to get_route_map.
+Prefer get_directions with format "summary" unless the user needs full step details; both formats include the polyline.
+IMPORTANT: When you use get_route_map or get_static_image tools, always include the image_url from the response in your final answer so users can see the map. Simply include the full URL in your response text.
+Always provide helpful, accurate responses about mapping and location-based queries.
+When using tools, explain what you're doing and interpret the results clearly for the user.
+Map image URLs (ending in /static-images/<id>.png) will be automatically displayed as images in the chat interface.`;
+
+const DEFAULTS = {
+  model: 'claude-sonnet-4-20250514',
+  max_tokens: 2000,
+  temperature: undefined,
+  tool_choice: { type: 'auto' },
+  prompt_caching: true
+};
+
+// Filled in for every request; prompt_variables from the config add to these
+const BUILTIN_VARIABLES = ['date', 'tool_names'];
+
+const TOOL_CHOICE_TYPES = ['auto', 'any', 'none', 'tool'];
+
+// Settings a chat request may change, if "overrides" allows it
+const OVERRIDABLE = ['model', 'max_tokens', 'temperature', 'tool_choice'];
+const NUMERIC = ['max_tokens', 'temperature'];
+
+// A request option that is not allowed, or not valid; answered with 400
+export class ChatOptionsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChatOptionsError';
+    this.status = 400;
+  }
+}
+
+// "auto", "any", "none", a tool name, or a Messages API tool_choice object
+function parseToolChoice(value) {
+  if (value === undefined || value === null) return undefined;
+  if (typeof value === 'object') {
+    if (!TOOL_CHOICE_TYPES.includes(value.type)) {
+      throw new Error(`tool_choice type must be one of ${TOOL_CHOICE_TYPES.join(', ')}`);
+    }
+    if (value.type === 'tool' && !value.name) {
+      throw new Error('tool_choice of type "tool" needs a name');
+    }
+    return value;
+  }
+  return TOOL_CHOICE_TYPES.includes(value) ? { type: value } : { type: 'tool', name: String(value) };
+}
+
+// Label used for tool_choice in allowlists: the type, or the tool name for type "tool"
+function toolChoiceLabel(toolChoice) {
+  return toolChoice.type === 'tool' ? toolChoice.name : toolChoice.type;
+}
+
+function parseNumber(value, name) {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number)) {
+    throw new Error(`${name} must be a number, got "${value}"`);
+  }
+  return number;
+}
+
+function parseBoolean(value, name) {
+  if (value === undefined || value === '') return undefined;
+  if (typeof value === 'boolean') return value;
+  if (value === 'true' || value === 'false') return value === 'true';
+  throw new Error(`${name} must be true or false, got "${value}"`);
+}
+
+// Each override is a list of allowed values, or a { min, max } range for numeric settings.
+// tool_choice lists types and tool names, e.g. ["auto", "none", "geocode_forward"].
+function parseOverrides(overrides) {
+  if (overrides === undefined || overrides === null) return {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    throw new Error('overrides must be an object');
+  }
+
+  for (const [name, allowed] of Object.entries(overrides)) {
+    if (!OVERRIDABLE.includes(name)) {
+      throw new Error(`overrides: unknown option "${name}", expected one of ${OVERRIDABLE.join(', ')}`);
+    }
+    if (Array.isArray(allowed)) {
+      if (name === 'tool_choice' && !allowed.every(value => typeof value === 'string')) {
+        throw new Error('overrides.tool_choice must list tool_choice types or tool names');
+      }
+      continue;
+    }
+    if (!NUMERIC.includes(name)) {
+      throw new Error(`overrides.${name} must be a list of allowed values`);
+    }
+    if (typeof allowed !== 'object' || allowed === null) {
+      throw new Error(`overrides.${name} must be a list of allowed values or a { "min", "max" } range`);
+    }
+    for (const bound of ['min', 'max']) {
+      if (allowed[bound] !== undefined && !Number.isFinite(allowed[bound])) {
+        throw new Error(`overrides.${name}.${bound} must be a number`);
+      }
+    }
+  }
+  return overrides;
+}
+
+function placeholders(template) {
+  return [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(match => match[1]);
+}
+
+export class ChatConfig {
+  constructor(config = {}, { baseDir = process.cwd() } = {}) {
+    this.model = config.model || DEFAULTS.model;
+    this.maxTokens = parseNumber(config.max_tokens, 'max_tokens') ?? DEFAULTS.max_tokens;
+    this.temperature = parseNumber(config.temperature, 'temperature') ?? DEFAULTS.temperature;
+    this.toolChoice = parseToolChoice(config.tool_choice) || DEFAULTS.tool_choice;
+    this.promptCaching = parseBoolean(config.prompt_caching, 'prompt_caching') ?? DEFAULTS.prompt_caching;
+    this.promptVariables = config.prompt_variables || {};
+    this.overrides = parseOverrides(config.overrides);
+
+    this.systemPrompt = config.system_prompt_file
+      ? fs.readFileSync(path.resolve(baseDir, config.system_prompt_file), 'utf8').trim()
+      : config.system_prompt || DEFAULT_SYSTEM_PROMPT;
+
+    const known = [...BUILTIN_VARIABLES, ...Object.keys(this.promptVariables)];
+    const unknown = placeholders(this.systemPrompt).filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`System prompt uses unknown variables: ${[...new Set(unknown)].join(', ')}`);
+    }
+  }
+
+  // File named by CHAT_CONFIG_FILE (optional), then CLAUDE_* environment variables on top
+  static load(env = process.env) {
+    let config = {};
+    let baseDir = process.cwd();
+    if (env.CHAT_CONFIG_FILE) {
+      config = JSON.parse(fs.readFileSync(env.CHAT_CONFIG_FILE, 'utf8'));
+      baseDir = path.dirname(path.resolve(env.CHAT_CONFIG_FILE));
+    }
+
+    const fromEnv = {
+      model: env.CLAUDE_MODEL,
+      max_tokens: env.CLAUDE_MAX_TOKENS,
+      temperature: env.CLAUDE_TEMPERATURE,
+      tool_choice: env.CLAUDE_TOOL_CHOICE,
+      prompt_caching: env.PROMPT_CACHING
+    };
+    for (const [name, value] of Object.entries(fromEnv)) {
+      if (value !== undefined && value !== '') config[name] = value;
+    }
+    if (env.SYSTEM_PROMPT_FILE) {
+      config.system_prompt_file = path.resolve(env.SYSTEM_PROMPT_FILE);
+    }
+
+    return new ChatConfig(config, { baseDir });
+  }
+
+  // Settings for one chat: the defaults with the request's options applied.
+  // Throws ChatOptionsError for options that are not in the allowlist or out of range.
+  resolve(options = {}) {
+    if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+      throw new ChatOptionsError('options must be an object');
+    }
+
+    const settings = {
+      model: this.model,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      tool_choice: this.toolChoice
+    };
+
+    for (const [name, value] of Object.entries(options)) {
+      if (!(name in settings)) {
+        throw new ChatOptionsError(`Unknown option "${name}"`);
+      }
+      const allowed = this.overrides[name];
+      if (!allowed) {
+        throw new ChatOptionsError(`Option "${name}" cannot be changed per request`);
+      }
+
+      if (name === 'tool_choice') {
+        let toolChoice;
+        try {
+          toolChoice = parseToolChoice(value);
+        } catch (error) {
+          throw new ChatOptionsError(error.message);
+        }
+        if (!allowed.includes(toolChoiceLabel(toolChoice))) {
+          throw new ChatOptionsError(`tool_choice must be one of ${allowed.join(', ')}`);
+        }
+        settings.tool_choice = toolChoice;
+      } else if (Array.isArray(allowed)) {
+        if (!allowed.includes(value)) {
+          throw new ChatOptionsError(`${name} must be one of ${allowed.join(', ')}`);
+        }
+        settings[name] = value;
+      } else {
+        // { min, max } range for numbers
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+          throw new ChatOptionsError(`${name} must be a number`);
+        }
+        if ((allowed.min !== undefined && value < allowed.min) || (allowed.max !== undefined && value > allowed.max)) {
+          throw new ChatOptionsError(`${name} must be between ${allowed.min ?? '-∞'} and ${allowed.max ?? '∞'}`);
+        }
+        settings[name] = name === 'max_tokens' ? Math.floor(value) : value;
+      }
+    }
+
+    return settings;
+  }
+
+  renderSystemPrompt({ toolNames = [] } = {}) {
+    const variables = {
+      ...this.promptVariables,
+      date: new Date().toISOString().slice(0, 10),
+      tool_names: toolNames.join(', ')
+    };
+    return this.systemPrompt.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => String(variables[name]));
+  }
+
+  // Public view for GET /api/chat/config: defaults and the allowed overrides, no prompt
+  describe() {
+    return {
+      model: this.model,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature ?? null,
+      tool_choice: this.toolChoice,
+      prompt_caching: this.promptCaching,
+      overrides: this.overrides
+    };
+  }
+}
@@ -0,0 +1,133 @@
+// Conversation history kept within a token budget.
+// Sessions store every turn, including tool_use and tool_result blocks, so follow-up
+// questions can reuse earlier coordinates and polylines. Before each Claude request the
+// history is fitted to the budget: first old tool results are shortened, then the
+// oldest exchanges are dropped. The exchange being answered is never dropped.
+
+// Rough token estimate: about 4 characters per token for JSON and English text
+const CHARS_PER_TOKEN = 4;
+// Claude bills an image of roughly map size at about this many tokens
+const IMAGE_TOKENS = 1600;
+// Tool results in compacted turns keep this many characters
+const COMPACT_RESULT_CHARS = 800;
+
+const OMITTED_NOTE = '(Earlier messages in this conversation were omitted to fit the context window.)';
+
+export function estimateTokens(messages) {
+  let chars = 0;
+  let images = 0;
+  const visit = value => {
+    if (Array.isArray(value)) {
+      value.forEach(visit);
+    } else if (value && typeof value === 'object') {
+      if (value.type === 'image') {
+        images++;
+        return;
+      }
+      Object.values(value).forEach(visit);
+    } else if (typeof value === 'string') {
+      chars += value.length;
+    }
+  };
+  visit(messages);
+  return Math.ceil(chars / CHARS_PER_TOKEN) + images * IMAGE_TOKENS;
+}
+
+// A user turn typed by a person, as opposed to one carrying tool results
+function isUserQuestion(message) {
+  return message.role === 'user' &&
+    (typeof message.content === 'string' || !message.content.some(block => block.type === 'tool_result'));
+}
+
+// Split messages into exchanges, each starting with a user question
+function splitExchanges(messages) {
+  const exchanges = [];
+  for (const message of messages) {
+    if (exchanges.length === 0 || isUserQuestion(message)) {
+      exchanges.push([]);
+    }
+    exchanges[exchanges.length - 1].push(message);
+  }
+  return exchanges;
+}
+
+function truncate(text, maxChars) {
+  if (text.length <= maxChars) return text;
+  return `${text.slice(0, maxChars)}… [${text.length - maxChars} more characters omitted to save context]`;
+}
+
+// Shorten the tool results in a message; images become a short note
+function compactMessage(message, maxChars = COMPACT_RESULT_CHARS) {
+  if (typeof message.content === 'string' || !message.content.some(block => block.type === 'tool_result')) {
+    return message;
+  }
+
+  const compactContent = content => {
+    if (typeof content === 'string') return truncate(content, maxChars);
+    return content.map(block => {
+      if (block.type === 'image') return { type: 'text', text: '[Map image omitted]' };
+      if (block.type === 'text') return { ...block, text: truncate(block.text, maxChars) };
+      return block;
+    });
+  };
+
+  return {
+    ...message,
+    content: message.content.map(block => block.type === 'tool_result'
+      ? { ...block, content: compactContent(block.content) }
+      : block)
+  };
+}
+
+// Turns as stored in a session: images are replaced, since they are large and can be
+// generated again from the stored tool arguments
+export function withoutImages(messages) {
+  return messages.map(message => compactMessage(message, Infinity));
+}
+
+// Messages to send for a request, fitted to budget tokens.
+// Returns { messages, compacted, dropped } with the number of exchanges changed.
+export function fitToBudget(messages, budget) {
+  if (estimateTokens(messages) <= budget) {
+    return { messages, compacted: 0, dropped: 0 };
+  }
+
+  let exchanges = splitExchanges(messages);
+  const total = () => estimateTokens(exchanges);
+  let compacted = 0;
+  let dropped = 0;
+
+  // 1. Shorten tool results, oldest exchange first, keeping the current one intact
+  for (let i = 0; i < exchanges.length - 1 && total() > budget; i++) {
+    exchanges[i] = exchanges[i].map(message => compactMessage(message));
+    compacted++;
+  }
+
+  // 2. Drop the oldest exchanges
+  while (exchanges.length > 1 && total() > budget) {
+    exchanges = exchanges.slice(1);
+    dropped++;
+  }
+
+  // 3. Still too large: shorten the current exchange's earlier tool results too,
+  //    but not the latest ones Claude is about to read
+  if (total() > budget) {
+    const current = exchanges[exchanges.length - 1];
+    exchanges[exchanges.length - 1] = current.map((message, index) =>
+      index < current.length - 1 ? compactMessage(message) : message);
+  }
+
+  let fitted = exchanges.flat();
+  if (dropped > 0) {
+    // Tell Claude the conversation did not start here
+    const [first, ...rest] = fitted;
+    fitted = [{
+      ...first,
+      content: typeof first.content === 'string'
+        ? `${OMITTED_NOTE}\n\n${first.content}`
+        : [{ type: 'text', text: OMITTED_NOTE }, ...first.content]
+    }, ...rest];
+  }
+
+  return { messages: fitted, compacted, dropped };
+}
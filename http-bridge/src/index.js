@@ -5,6 +5,14 @@ import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { Upstream } from '../../shared/upstream.js';
+import { registry, CONTENT_TYPE } from '../../shared/metrics.js';
+import { mapWithConcurrency } from '../../shared/concurrency.js';
+import { readMessageStream, openEventStream } from './sse.js';
+import { SessionStore, sessionSummary, sessionDetails } from './sessions.js';
+import { identifyOwner } from './owner.js';
+import { fitToBudget, withoutImages } from './history.js';
+import { ChatConfig, ChatOptionsError } from './chat-config.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -13,6 +21,38 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 const MCP_SERVER_URL = process.env.MCP_SERVER_URL || 'http://localhost:3000';
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+// Key for the MCP server when it has API key authentication enabled
+const MCP_API_KEY = process.env.MCP_API_KEY;
+const mcpAuthHeaders = MCP_API_KEY ? { Authorization: `Bearer ${MCP_API_KEY}` } : {};
+// Timeout for one MCP tool call. A tool can make several Mapbox requests, each of which the
+// MCP server retries for up to MAPBOX_RETRY_BUDGET_MS, so keep this well above that budget.
+const MCP_TOOL_TIMEOUT_MS = parseInt(process.env.MCP_TOOL_TIMEOUT_MS) || 30000;
+// Base URL of the Anthropic API; point it at a local stand-in server to run without Anthropic
+const ANTHROPIC_API_URL = (process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+
+// live, record or replay (see shared/upstream.js); fixtures never contain the API key
+const anthropicUpstream = new Upstream({
+  name: 'anthropic',
+  mode: process.env.UPSTREAM_MODE || 'live',
+  fixturesDir: process.env.FIXTURES_DIR || 'fixtures',
+  secrets: [ANTHROPIC_API_KEY],
+  transport: config => axios.request(config)
+});
+
+// Model, generation settings and system prompt (see chat-config.js)
+const chatConfig = ChatConfig.load();
+
+// Conversations are kept server-side; clients refer to them by session id
+const sessions = new SessionStore({ dir: process.env.SESSIONS_DIR || 'data/sessions' });
+// Ids of sessions with a chat in progress
+const busySessions = new Set();
+// Estimated tokens of conversation history sent with each Claude request (see history.js)
+const HISTORY_TOKEN_BUDGET = parseInt(process.env.HISTORY_TOKEN_BUDGET) || 60000;
+// Tool loop limits: tool calls run at once, rounds of tool calls per message, and the
+// time after which a chat stops and answers with what it has
+const TOOL_CONCURRENCY = parseInt(process.env.TOOL_CONCURRENCY) || 4;
+const MAX_TOOL_ITERATIONS = parseInt(process.env.MAX_TOOL_ITERATIONS) || 10;
+const CHAT_DEADLINE_MS = parseInt(process.env.CHAT_DEADLINE_MS) || 120000;
 
 // Middleware
 app.use(helmet({
@@ -45,8 +85,30 @@ app.use('/api/', limiter);
 // Store available tools
 let availableTools = [];
 
-// Validate environment variables
-if (!ANTHROPIC_API_KEY) {
+// Metrics
+const chatRequests = registry.counter(
+  'mapbox_bridge_chats_total', 'Chat requests by outcome (success, limited, error or aborted)', ['outcome']);
+const activeChats = registry.gauge(
+  'mapbox_bridge_active_chats', 'Chat requests currently being processed');
+const chatIterations = registry.histogram(
+  'mapbox_bridge_chat_loop_iterations', 'Tool-use rounds per chat request', [], [0, 1, 2, 3, 4, 5, 6, 8, 10, 15, 20]);
+const claudeRequests = registry.counter(
+  'mapbox_bridge_claude_requests_total', 'Claude API requests by HTTP status', ['status']);
+const claudeDuration = registry.histogram(
+  'mapbox_bridge_claude_duration_seconds', 'Claude API request latency');
+const claudeTokens = registry.counter(
+  'mapbox_bridge_claude_tokens_total', 'Claude tokens used, by type (input, output, cache_write or cache_read)', ['type']);
+const toolCalls = registry.counter(
+  'mapbox_bridge_tool_calls_total', 'MCP tool calls by tool and outcome (success or error)', ['tool', 'outcome']);
+const toolErrors = registry.counter(
+  'mapbox_bridge_tool_errors_total', 'Failed MCP tool calls by tool, error code and HTTP status', ['tool', 'code', 'status']);
+const toolDuration = registry.histogram(
+  'mapbox_bridge_tool_duration_seconds', 'MCP tool call latency as seen by the bridge', ['tool']);
+const historyTrimmed = registry.counter(
+  'mapbox_bridge_history_trimmed_total', 'Exchanges shortened or dropped to fit the history token budget', ['action']);
+
+// Validate environment variables (replayed fixtures need no key)
+if (!ANTHROPIC_API_KEY && anthropicUpstream.mode !== 'replay') {
   console.error('ANTHROPIC_API_KEY environment variable is required');
   process.exit(1);
 }
@@ -56,7 +118,8 @@ async function initializeMCPTools() {
   try {
     console.log(`Connecting to MCP server at: ${MCP_SERVER_URL}`);
     const response = await axios.get(`${MCP_SERVER_URL}/tools`, {
-      timeout: 10000
+      timeout: 10000,
+      headers: mcpAuthHeaders
     });
     
     availableTools = response.data.tools.map(tool => ({
@@ -88,184 +151,639 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Proxy static map images from the MCP server, so the browser loads them from this origin
+app.get('/static-images/:id.png', async (req, res) => {
+  try {
+    const response = await axios.get(`${MCP_SERVER_URL}/static-images/${encodeURIComponent(req.params.id)}.png`, {
+      responseType: 'stream',
+      timeout: 15000,
+      validateStatus: () => true
+    });
+
+    res.status(response.status);
+    for (const header of ['content-type', 'cache-control', 'etag']) {
+      if (response.headers[header]) {
+        res.set(header, response.headers[header]);
+      }
+    }
+    response.data.pipe(res);
+  } catch (error) {
+    console.error('Static image proxy error:', error.message);
+    res.status(502).json({ error: 'Failed to load map image' });
+  }
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.type(CONTENT_TYPE).send(registry.render());
+});
+
 // Get available tools endpoint
 app.get('/api/tools', (req, res) => {
   res.json({ tools: availableTools });
 });
 
-app.post('/api/chat', async (req, res) => {
-  const { message, conversationHistory = [] } = req.body;
-  
+// Default Claude settings and the options chat requests may override
+app.get('/api/chat/config', (req, res) => {
+  res.json(chatConfig.describe());
+});
+
+// Chat sessions, visible only to the client that created them
+app.use(['/api/sessions', '/api/chat'], identifyOwner);
+
+app.get('/api/sessions', async (req, res) => {
+  try {
+    res.json({ sessions: await sessions.list(req.owner) });
+  } catch (error) {
+    console.error('Session list error:', error.message);
+    res.status(500).json({ error: 'Failed to list sessions' });
+  }
+});
+
+app.post('/api/sessions', async (req, res) => {
+  const { title } = req.body || {};
+  if (title !== undefined && typeof title !== 'string') {
+    return res.status(400).json({ error: 'Title must be a string' });
+  }
+
+  try {
+    const session = await sessions.create({ title, owner: req.owner });
+    res.status(201).json(sessionSummary(session));
+  } catch (error) {
+    console.error('Session create error:', error.message);
+    res.status(500).json({ error: 'Failed to create session' });
+  }
+});
+
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    const session = await sessions.get(req.params.id, req.owner);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(sessionDetails(session));
+  } catch (error) {
+    console.error('Session read error:', error.message);
+    res.status(500).json({ error: 'Failed to load session' });
+  }
+});
+
+app.patch('/api/sessions/:id', async (req, res) => {
+  const { title } = req.body || {};
+  if (typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({ error: 'Title is required and must be a non-empty string' });
+  }
+
+  try {
+    const session = await sessions.rename(req.params.id, req.owner, title);
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(sessionSummary(session));
+  } catch (error) {
+    console.error('Session rename error:', error.message);
+    res.status(500).json({ error: 'Failed to rename session' });
+  }
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+  try {
+    if (!await sessions.delete(req.params.id, req.owner)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Session delete error:', error.message);
+    res.status(500).json({ error: 'Failed to delete session' });
+  }
+});
+
+// Validate a chat request, resolve its Claude settings and load its session. Without a
+// sessionId the session is new: it has no id and is only saved once the chat succeeds.
+// On failure the error response has been sent and null is returned; otherwise
+// { session, settings } is returned and the session is marked busy until releaseSession
+// is called.
+async function openChatSession(req, res) {
+  const { message, sessionId, options } = req.body;
+
   if (!message || typeof message !== 'string') {
-    return res.status(400).json({ error: 'Message is required and must be a string' });
+    res.status(400).json({ error: 'Message is required and must be a string' });
+    return null;
+  }
+  if (req.body.conversationHistory !== undefined) {
+    res.status(400).json({ error: 'conversationHistory is no longer accepted; pass the sessionId returned by a previous chat' });
+    return null;
+  }
+
+  let settings;
+  try {
+    settings = chatConfig.resolve(options);
+  } catch (error) {
+    if (!(error instanceof ChatOptionsError)) throw error;
+    res.status(error.status).json({ error: error.message });
+    return null;
+  }
+
+  if (sessionId === undefined) {
+    return { session: { id: null, owner: req.owner, messages: [] }, settings };
+  }
+
+  let session;
+  try {
+    session = await sessions.get(sessionId, req.owner);
+  } catch (error) {
+    console.error('Session load error:', error.message);
+    res.status(500).json({ error: 'Failed to load session' });
+    return null;
+  }
+  if (!session) {
+    res.status(404).json({ error: 'Session not found' });
+    return null;
+  }
+  // Two chats on one session would each build on the same history and lose a turn
+  if (busySessions.has(session.id)) {
+    res.status(409).json({ error: 'A chat is already in progress for this session' });
+    return null;
+  }
+
+  busySessions.add(session.id);
+  return { session, settings };
+}
+
+function releaseSession(session) {
+  if (session.id) busySessions.delete(session.id);
+}
+
+// Save the exchange, tool calls included, to the session (creating a new one) and return
+// the response body shared by both chat routes
+async function finishChat(session, message, { turns, finalResponse, totalUsage, stopped }) {
+  const exchange = [
+    { role: 'user', content: message },
+    ...withoutImages(turns)
+  ];
+  let sessionId = session.id;
+  if (sessionId) {
+    await sessions.appendMessages(sessionId, session.owner, exchange);
+  } else {
+    sessionId = (await sessions.create({ owner: session.owner, messages: exchange })).id;
   }
 
+  return {
+    sessionId,
+    response: finalResponse.content,
+    usage: totalUsage,
+    ...(stopped && { stopped })
+  };
+}
+
+app.post('/api/chat', async (req, res) => {
+  let chat = null;
+  try {
+    chat = await openChatSession(req, res);
+    if (!chat) return;
+    const { session, settings } = chat;
+
+    const { message } = req.body;
+    const result = await runChat([
+      ...session.messages,
+      { role: 'user', content: message }
+    ], { settings });
+
+    res.json(await finishChat(session, message, result));
+
+  } catch (error) {
+    const { status, error: errorMessage } = chatError(error);
+    res.status(status).json({ error: errorMessage });
+  } finally {
+    if (chat) releaseSession(chat.session);
+  }
+});
+
+// Same as /api/chat, but answers with server-sent events while the tool loop runs:
+//   text       { text }                                     Claude text delta
+//   tool_start { id, name, input }                          a tool call begins
+//   tool_end   { id, name, success, duration_ms, ... }      a tool call finished
+//   done       { sessionId, response, usage }               same body as /api/chat
+//   error      { status, error }                            the chat failed
+app.post('/api/chat/stream', async (req, res) => {
+  // Stop calling Claude and tools once the browser goes away
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abort.abort();
+  });
+
+  let chat = null;
+  let send = null;
+  try {
+    chat = await openChatSession(req, res);
+    if (!chat) return;
+    const { session, settings } = chat;
+
+    const { message } = req.body;
+    send = openEventStream(res);
+
+    const result = await runChat([
+      ...session.messages,
+      { role: 'user', content: message }
+    ], { settings, onEvent: send, signal: abort.signal });
+
+    send('done', await finishChat(session, message, result));
+  } catch (error) {
+    // Before the event stream is open the error is a plain JSON response
+    if (!send) {
+      const { status, error: errorMessage } = chatError(error);
+      res.status(status).json({ error: errorMessage });
+    } else if (!abort.signal.aborted) {
+      send('error', chatError(error));
+    }
+  } finally {
+    if (chat) {
+      releaseSession(chat.session);
+      res.end();
+    }
+  }
+});
+
+// Status and message for a failed chat
+function chatError(error) {
+  if (error.code === 'FixtureMissing') {
+    return { status: 502, error: error.message };
+  } else if (error.response?.status === 401) {
+    return { status: 401, error: 'Invalid API key' };
+  } else if (error.response?.status === 429) {
+    return { status: 429, error: 'Rate limit exceeded' };
+  }
+  return { status: 500, error: 'Failed to process chat message' };
+}
+
+// Run Claude and the tool loop for a conversation ending in a user message, with
+// settings from chatConfig.resolve().
+// With onEvent, Claude's replies are streamed and onEvent(event, data) receives
+// text deltas and tool progress (see /api/chat/stream).
+// Resolves with the final response and turns, the messages added after the input.
+// When a limit ends the loop early, stopped says which one.
+async function runChat(messages, { settings = chatConfig.resolve(), onEvent, signal } = {}) {
+  const deadline = chatDeadline(signal, CHAT_DEADLINE_MS);
+  const send = onEvent
+    ? payload => streamClaude(payload, { onText: text => onEvent('text', { text }), signal: deadline.signal })
+    : async payload => (await callClaude(payload, { signal: deadline.signal })).data;
+  // The session keeps every turn; each request only sends what fits the budget
+  const requestMessage = payload => send({ ...payload, messages: fitHistory(payload.messages) });
+
   // Retry loading tools if they're not available
   if (availableTools.length === 0) {
     await initializeMCPTools();
   }
-  
-  try {
-    // Prepare messages for LLM
-    const messages = [
-      ...conversationHistory,
-      { role: 'user', content: message }
-    ];
 
+  activeChats.inc();
+  try {
     console.log('Sending request to Claude API...');
 
-    // Call Claude API with tool definitions
-    const claudePayload = {
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 2000,
-      messages: messages,
-      system: `You are a helpful AI assistant with access to Mapbox mapping and location services. You can help with:
-               - Geocoding: Convert addresses to coordinates and vice versa
-               - Directions: Get driving, walking, or cycling routes between locations
-               - Static Maps: Generate map images with markers and custom styling
-               - Route Maps: Generate visual route maps showing start/end points and route paths
-               - Matrix: Calculate travel times and distances between multiple points
-               
-               When users ask to "show" a route or want to "see" directions, first use get_directions to get route details, then use get_route_map with the same coordinates and the polyline from the directions response to create visual maps.
-               IMPORTANT: When you use get_route_map or get_static_image tools, always include the image_url from the response in your final answer so users can see the map. Simply include the full URL in your response text.
-               Always provide helpful, accurate responses about mapping and location-based queries.
-               When using tools, explain what you're doing and interpret the results clearly for the user.
-               Image URLs from Mapbox will be automatically displayed as images in the chat interface.`
+    let currentMessages = messages;
+    let finalResponse = null;
+    const totalUsage = { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+    let iterations = 0;
+    let stopped = null;
+
+    const request = async payload => {
+      const response = await requestMessage(payload);
+      // Accumulate usage stats
+      for (const type of Object.keys(totalUsage)) {
+        totalUsage[type] += response.usage?.[type] || 0;
+      }
+      return response;
+    };
+
+    try {
+      // Call Claude API with tool definitions
+      finalResponse = await request(claudePayload(settings, messages));
+
+      // Handle multiple rounds of tool calls
+      while (finalResponse.content.some(block => block.type === 'tool_use')) {
+        // The assistant's turn is kept before its tools run, so the deadline can still answer them
+        currentMessages = [...currentMessages, { role: 'assistant', content: finalResponse.content }];
+
+        let toolResults;
+        if (iterations >= MAX_TOOL_ITERATIONS) {
+          console.log(`Tool loop reached ${MAX_TOOL_ITERATIONS} iterations, asking for a final answer`);
+          stopped = { reason: 'max_iterations', max_iterations: MAX_TOOL_ITERATIONS };
+          toolResults = skippedToolResults(finalResponse.content,
+            `Not run: this request reached the limit of ${MAX_TOOL_ITERATIONS} rounds of tool calls. ` +
+            'Do not call more tools. Answer with what you found so far and tell the user that the tool-call limit was reached.');
+        } else {
+          iterations++;
+          console.log('Processing tool calls...');
+          toolResults = await handleToolCalls(finalResponse.content, { onEvent, signal: deadline.signal });
+        }
+
+        currentMessages = [...currentMessages, { role: 'user', content: toolResults }];
+
+        console.log('Sending follow-up request to Claude API...');
+
+        // Send tool results back to Claude for the next response
+        finalResponse = await request(claudePayload(settings, currentMessages, {
+          // Past the iteration limit Claude has to answer without more tools
+          toolChoice: stopped ? { type: 'none' } : followUpToolChoice(settings.tool_choice)
+        }));
+      }
+    } catch (error) {
+      if (!deadline.expired || signal?.aborted) throw error;
+
+      // Out of time: answer any pending tool calls and end with a note instead of an error
+      console.log(`Chat deadline of ${CHAT_DEADLINE_MS} ms reached after ${iterations} iterations`);
+      stopped = { reason: 'deadline', deadline_ms: CHAT_DEADLINE_MS };
+      const last = currentMessages[currentMessages.length - 1];
+      if (last.role === 'assistant') {
+        currentMessages = [...currentMessages, {
+          role: 'user',
+          content: skippedToolResults(last.content, 'Not completed: the time limit for this request was reached.')
+        }];
+      }
+
+      const note = `I had to stop working on this request because it took longer than ${Math.round(CHAT_DEADLINE_MS / 1000)} seconds` +
+        `${last.role === 'assistant' ? ', before all tool calls finished' : ''}. Please try again, or ask for less at once.`;
+      onEvent?.('text', { text: note });
+      finalResponse = { role: 'assistant', content: [{ type: 'text', text: note }] };
+    }
+
+    chatIterations.observe({}, iterations);
+    chatRequests.inc({ outcome: stopped ? 'limited' : 'success' });
+    return {
+      finalResponse,
+      turns: [
+        ...currentMessages.slice(messages.length),
+        { role: 'assistant', content: finalResponse.content }
+      ],
+      totalUsage,
+      iterations,
+      stopped
     };
 
-    // Only add tools if they're available
-    if (availableTools.length > 0) {
-      claudePayload.tools = availableTools;
-      claudePayload.tool_choice = { type: 'auto' };
+  } catch (error) {
+    if (signal?.aborted) {
+      console.log('Chat aborted by the client');
+      chatRequests.inc({ outcome: 'aborted' });
+    } else {
+      console.error('Chat error:', error.response?.data || error.message);
+      chatRequests.inc({ outcome: 'error' });
     }
+    throw error;
+  } finally {
+    deadline.dispose();
+    activeChats.dec();
+  }
+}
+
+// Messages API request for the chat. The system prompt and tool definitions are the
+// same on every request of a tool loop, so with prompt caching they are marked as a
+// cached prefix and later requests read them from the cache.
+function claudePayload(settings, messages, { toolChoice = settings.tool_choice } = {}) {
+  const system = chatConfig.renderSystemPrompt({ toolNames: availableTools.map(tool => tool.name) });
+  const payload = {
+    model: settings.model,
+    max_tokens: settings.max_tokens,
+    messages,
+    system: chatConfig.promptCaching
+      ? [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }]
+      : system
+  };
+  if (settings.temperature !== undefined) {
+    payload.temperature = settings.temperature;
+  }
+
+  // Only add tools if they're available
+  if (availableTools.length > 0) {
+    payload.tools = chatConfig.promptCaching
+      ? availableTools.map((tool, index) =>
+          index === availableTools.length - 1 ? { ...tool, cache_control: { type: 'ephemeral' } } : tool)
+      : availableTools;
+    payload.tool_choice = toolChoice;
+  }
 
-    const claudeResponse = await axios.post('https://api.anthropic.com/v1/messages', claudePayload, {
+  return payload;
+}
+
+// tool_choice after tool results: "any" and a named tool would force another tool call
+// every round, so follow-ups fall back to "auto" and Claude can answer
+function followUpToolChoice(toolChoice) {
+  if (toolChoice.type === 'any' || toolChoice.type === 'tool') {
+    const { type, name, ...rest } = toolChoice;
+    return { ...rest, type: 'auto' };
+  }
+  return toolChoice;
+}
+
+// Abort signal for one chat: fires when the client's signal does, or after ms.
+// expired tells the two apart.
+function chatDeadline(clientSignal, ms) {
+  const controller = new AbortController();
+  const onClientAbort = () => controller.abort();
+  const deadline = {
+    signal: controller.signal,
+    expired: false,
+    dispose() {
+      clearTimeout(timer);
+      clientSignal?.removeEventListener('abort', onClientAbort);
+    }
+  };
+
+  const timer = setTimeout(() => {
+    deadline.expired = true;
+    controller.abort();
+  }, ms);
+  clientSignal?.addEventListener('abort', onClientAbort);
+
+  return deadline;
+}
+
+// Error results for tool_use blocks that were not run, so the history stays valid
+function skippedToolResults(content, reason) {
+  return content
+    .filter(block => block.type === 'tool_use')
+    .map(block => ({ type: 'tool_result', tool_use_id: block.id, content: reason, is_error: true }));
+}
+
+// Messages fitted to HISTORY_TOKEN_BUDGET
+function fitHistory(messages) {
+  const { messages: fitted, compacted, dropped } = fitToBudget(messages, HISTORY_TOKEN_BUDGET);
+  if (compacted > 0 || dropped > 0) {
+    console.log(`History over ${HISTORY_TOKEN_BUDGET} tokens: shortened ${compacted} and dropped ${dropped} earlier exchanges`);
+    historyTrimmed.inc({ action: 'compacted' }, compacted);
+    historyTrimmed.inc({ action: 'dropped' }, dropped);
+  }
+  return fitted;
+}
+
+// Send a Messages API request through the upstream layer, recording latency and token usage
+async function callClaude(payload, { signal } = {}) {
+  const stopTimer = claudeDuration.startTimer();
+  try {
+    const response = await anthropicUpstream.request({
+      method: 'post',
+      url: `${ANTHROPIC_API_URL}/v1/messages`,
+      data: payload,
       headers: {
         'Content-Type': 'application/json',
         'x-api-key': ANTHROPIC_API_KEY,
         'anthropic-version': '2023-06-01'
       },
+      signal,
       timeout: 60000
     });
 
-    let currentMessages = messages;
-    let finalResponse = claudeResponse.data;
-    let totalUsage = finalResponse.usage;
-
-    // Handle multiple rounds of tool calls
-    while (finalResponse.content.some(block => block.type === 'tool_use')) {
-      console.log('Processing tool calls...');
-      const toolResults = await handleToolCalls(finalResponse.content);
-      
-      // Add the assistant's response with tool calls and user's tool results
-      currentMessages = [
-        ...currentMessages,
-        { role: 'assistant', content: finalResponse.content },
-        { role: 'user', content: toolResults }
-      ];
-
-      console.log('Sending follow-up request to Claude API...');
-
-      // Send tool results back to Claude for the next response
-      const followUpResponse = await axios.post('https://api.anthropic.com/v1/messages', {
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 2000,
-        messages: currentMessages,
-        tools: availableTools,
-        system: `You are a helpful AI assistant with access to Mapbox mapping and location services. You can help with:
-                 - Geocoding: Convert addresses to coordinates and vice versa
-                 - Directions: Get driving, walking, or cycling routes between locations
-                 - Static Maps: Generate map images with markers and custom styling
-                 - Route Maps: Generate visual route maps showing start/end points and route paths
-                 - Matrix: Calculate travel times and distances between multiple points
-                 
-                 When users ask to "show" a route or want to "see" directions, first use get_directions to get route details, then use get_route_map with the same coordinates and the polyline from the directions response to create visual maps.
-                 IMPORTANT: When you use get_route_map or get_static_image tools, always include the image_url from the response in your final answer so users can see the map. Simply include the full URL in your response text.
-                 Always provide helpful, accurate responses about mapping and location-based queries.
-                 When using tools, explain what you're doing and interpret the results clearly for the user.
-                 Image URLs from Mapbox will be automatically displayed as images in the chat interface.`
-      }, {
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': ANTHROPIC_API_KEY,
-          'anthropic-version': '2023-06-01'
-        },
-        timeout: 60000
-      });
-
-      finalResponse = followUpResponse.data;
-      
-      // Accumulate usage stats
-      if (followUpResponse.data.usage) {
-        totalUsage.input_tokens += followUpResponse.data.usage.input_tokens || 0;
-        totalUsage.output_tokens += followUpResponse.data.usage.output_tokens || 0;
-      }
-    }
+    claudeRequests.inc({ status: response.status });
+    recordTokens(response.data.usage);
+    return response;
+  } catch (error) {
+    claudeRequests.inc({ status: error.response?.status ?? error.code ?? 'error' });
+    throw error;
+  } finally {
+    stopTimer();
+  }
+}
 
-    // Return simplified conversation history for the frontend
-    // Only include the user message and final assistant response for conversation continuity
-    res.json({
-      response: finalResponse.content,
-      conversationHistory: [
-        ...conversationHistory,
-        { role: 'user', content: message },
-        { role: 'assistant', content: finalResponse.content }
-      ],
-      usage: totalUsage
+function recordTokens(usage = {}) {
+  claudeTokens.inc({ type: 'input' }, usage.input_tokens || 0);
+  claudeTokens.inc({ type: 'output' }, usage.output_tokens || 0);
+  claudeTokens.inc({ type: 'cache_write' }, usage.cache_creation_input_tokens || 0);
+  claudeTokens.inc({ type: 'cache_read' }, usage.cache_read_input_tokens || 0);
+}
+
+// Streaming variant of callClaude: resolves with the complete message once the
+// stream ends, calling onText with each text delta on the way
+async function streamClaude(payload, { onText, signal } = {}) {
+  const stopTimer = claudeDuration.startTimer();
+  try {
+    const response = await anthropicUpstream.request({
+      method: 'post',
+      url: `${ANTHROPIC_API_URL}/v1/messages`,
+      data: { ...payload, stream: true },
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': ANTHROPIC_API_KEY,
+        'anthropic-version': '2023-06-01'
+      },
+      responseType: 'stream',
+      signal,
+      timeout: 60000
     });
 
+    claudeRequests.inc({ status: response.status });
+    const message = await readMessageStream(response.data, { onText });
+    recordTokens(message.usage);
+    return message;
   } catch (error) {
-    console.error('Chat error:', error.response?.data || error.message);
-    
-    if (error.response?.status === 401) {
-      res.status(401).json({ error: 'Invalid API key' });
-    } else if (error.response?.status === 429) {
-      res.status(429).json({ error: 'Rate limit exceeded' });
-    } else {
-      res.status(500).json({ error: 'Failed to process chat message' });
+    if (error.response) {
+      claudeRequests.inc({ status: error.response.status });
+      // Error bodies arrive as a stream too; read them so callers can log them
+      error.response.data = await readErrorBody(error.response.data);
+    } else if (!signal?.aborted) {
+      claudeRequests.inc({ status: error.code ?? 'error' });
     }
+    throw error;
+  } finally {
+    stopTimer();
   }
-});
+}
 
-// Handle tool calls to Mapbox MCP server
-async function handleToolCalls(content) {
-  const toolResults = [];
-
-  for (const block of content) {
-    if (block.type === 'tool_use') {
-      console.log(`Calling MCP tool: ${block.name}`);
-      console.log(`with arguments: ${JSON.stringify(block.input)}`);
-      try {
-        // Call Mapbox MCP server
-        const mcpResponse = await axios.post(`${MCP_SERVER_URL}/${block.name}`, {
-          arguments: block.input
-        }, {
-          timeout: 15000,
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        });
-        const response_content = JSON.stringify(mcpResponse.data);
-        console.log(`MCP tool response: ${response_content}`);
-
-        toolResults.push({
-          type: 'tool_result',
-          tool_use_id: block.id,
-          content: JSON.stringify(mcpResponse.data)
-        });
-      } catch (error) {
-        console.error(`Tool call error for ${block.name}:`, error.message);
-        toolResults.push({
-          type: 'tool_result',
-          tool_use_id: block.id,
-          content: `Error calling tool ${block.name}: ${error.message}`,
-          is_error: true
-        });
-      }
+async function readErrorBody(stream) {
+  try {
+    let text = '';
+    for await (const chunk of stream) {
+      text += chunk;
+    }
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
     }
+  } catch {
+    return null;
   }
+}
+
+// Handle tool calls to Mapbox MCP server
+// The tool_use blocks of one assistant turn are independent, so up to TOOL_CONCURRENCY
+// run at once; results keep the order of the blocks.
+// onEvent, when given, receives tool_start and tool_end progress events
+async function handleToolCalls(content, { onEvent, signal } = {}) {
+  const blocks = content.filter(block => block.type === 'tool_use');
+  return mapWithConcurrency(blocks, TOOL_CONCURRENCY, block => callTool(block, { onEvent, signal }));
+}
+
+// Call one tool and turn the outcome into a tool_result block
+async function callTool(block, { onEvent, signal } = {}) {
+  console.log(`Calling MCP tool: ${block.name}`);
+  console.log(`with arguments: ${JSON.stringify(block.input)}`);
+  onEvent?.('tool_start', { id: block.id, name: block.name, input: block.input });
+  const stopTimer = toolDuration.startTimer({ tool: block.name });
+  const startedAt = Date.now();
+  try {
+    // Call Mapbox MCP server
+    const mcpResponse = await axios.post(`${MCP_SERVER_URL}/${block.name}`, {
+      arguments: block.input
+    }, {
+      timeout: MCP_TOOL_TIMEOUT_MS,
+      signal,
+      headers: {
+        'Content-Type': 'application/json',
+        ...mcpAuthHeaders
+      }
+    });
+    toolCalls.inc({ tool: block.name, outcome: 'success' });
+    const { image_base64, mime_type, ...data } = mcpResponse.data;
+    const response_content = JSON.stringify(data);
+    console.log(`MCP tool response: ${response_content}`);
+    onEvent?.('tool_end', {
+      id: block.id,
+      name: block.name,
+      success: true,
+      duration_ms: Date.now() - startedAt,
+      ...(data.image_url && { image_url: data.image_url })
+    });
 
-  return toolResults;
+    // Inline map images are passed to Claude as image blocks instead of base64 text
+    return {
+      type: 'tool_result',
+      tool_use_id: block.id,
+      content: image_base64
+        ? [
+            { type: 'text', text: response_content },
+            { type: 'image', source: { type: 'base64', media_type: mime_type, data: image_base64 } }
+          ]
+        : response_content
+    };
+  } catch (error) {
+    const cancelled = signal?.aborted;
+    onEvent?.('tool_end', {
+      id: block.id,
+      name: block.name,
+      success: false,
+      duration_ms: Date.now() - startedAt,
+      error: cancelled ? 'Cancelled' : error.response?.data?.error || error.message,
+      code: cancelled ? 'Cancelled' : error.response?.data?.code
+    });
+    // A closed stream or the chat deadline ends the chat instead of reporting a tool failure to Claude
+    if (cancelled) throw error;
+    console.error(`Tool call error for ${block.name}:`, error.message);
+    toolCalls.inc({ tool: block.name, outcome: 'error' });
+    toolErrors.inc({
+      tool: block.name,
+      code: error.response?.data?.code || error.code || 'Unknown',
+      status: error.response?.status ?? 'none'
+    });
+    // Pass the MCP server's error body (code, message, per-field errors) on to Claude
+    return {
+      type: 'tool_result',
+      tool_use_id: block.id,
+      content: error.response?.data
+        ? JSON.stringify(error.response.data)
+        : `Error calling tool ${block.name}: ${error.message}`,
+      is_error: true
+    };
+  } finally {
+    stopTimer();
+  }
 }
 
 // Error handling middleware
@@ -298,6 +816,9 @@ async function startServer() {
     console.log(`Mapbox HTTP Bridge server running on port ${PORT}`);
     console.log(`Health check available at: http://localhost:${PORT}/health`);
     console.log(`MCP Server URL: ${MCP_SERVER_URL}`);
+    console.log(`Anthropic upstream mode: ${anthropicUpstream.mode}`);
+    console.log(`Claude model: ${chatConfig.model}, max_tokens ${chatConfig.maxTokens}, prompt caching ${chatConfig.promptCaching ? 'on' : 'off'}`);
+    console.log(`Sessions directory: ${sessions.dir}`);
   });
 }
 
@@ -0,0 +1,42 @@
+import crypto from 'crypto';
+
+// Chat sessions belong to the browser that created them. Each client gets a random owner
+// token in an HttpOnly cookie; sessions store only its SHA-256 hash (see sessions.js), so
+// neither the session files nor the API reveal a token.
+
+const COOKIE_NAME = 'chat_owner';
+const COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+// 32 random bytes, base64url encoded
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{43}$/;
+
+function readCookie(req, name) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      return part.slice(separator + 1).trim();
+    }
+  }
+  return undefined;
+}
+
+export function ownerHash(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Express middleware: set req.owner to the hash of the client's owner token, issuing a
+// new token to clients that have none
+export function identifyOwner(req, res, next) {
+  let token = readCookie(req, COOKIE_NAME);
+  if (!token || !TOKEN_PATTERN.test(token)) {
+    token = crypto.randomBytes(32).toString('base64url');
+    res.cookie(COOKIE_NAME, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      path: '/api',
+      maxAge: COOKIE_MAX_AGE_MS
+    });
+  }
+  req.owner = ownerHash(token);
+  next();
+}
@@ -0,0 +1,158 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Chat sessions stored server-side, one JSON file per session in SESSIONS_DIR:
+// { id, title, owner, created_at, updated_at, messages: [Messages API turns] }
+// The browser only holds the session id, so it cannot rewrite earlier turns.
+// owner is the hash of the owner token of the client that created the session (see
+// owner.js); reads and changes with another owner behave as if the session did not exist.
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const MAX_TITLE_LENGTH = 100;
+// Untitled sessions are named after their first message, cut to this length
+const AUTO_TITLE_LENGTH = 60;
+
+export function normalizeTitle(title) {
+  return String(title).replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+}
+
+// Session without its messages, for listings
+export function sessionSummary(session) {
+  const { messages, owner, ...summary } = session;
+  return { ...summary, message_count: messages.length };
+}
+
+// Session as returned to its owner
+export function sessionDetails(session) {
+  const { owner, ...details } = session;
+  return details;
+}
+
+// Append the turns of one chat exchange; untitled sessions take their title from the first message
+function addMessages(session, messages) {
+  if (!session.title) {
+    const first = messages.find(message => message.role === 'user' && typeof message.content === 'string');
+    if (first) session.title = normalizeTitle(first.content).slice(0, AUTO_TITLE_LENGTH) || null;
+  }
+  session.messages.push(...messages);
+}
+
+export class SessionStore {
+  constructor({ dir }) {
+    this.dir = dir;
+    // Session id -> tail of the queue of pending updates, so read-modify-write cycles don't interleave
+    this.queues = new Map();
+  }
+
+  isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+  }
+
+  file(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async read(id) {
+    if (!this.isValidId(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.file(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write through a temporary file so a crash never leaves half a session behind
+  async write(session) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const temporary = `${this.file(session.id)}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(session, null, 2) + '\n');
+    await fs.rename(temporary, this.file(session.id));
+  }
+
+  // Run change(session) on the stored session of owner and save the result; resolves with
+  // the updated session, or null when it does not exist. Updates to one session run in order.
+  update(id, owner, change) {
+    const previous = this.queues.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(async () => {
+      const session = await this.read(id);
+      if (!session || session.owner !== owner) return null;
+      change(session);
+      session.updated_at = new Date().toISOString();
+      await this.write(session);
+      return session;
+    });
+
+    this.queues.set(id, next);
+    next.catch(() => {}).finally(() => {
+      if (this.queues.get(id) === next) this.queues.delete(id);
+    });
+    return next;
+  }
+
+  // Save a new session, optionally with the turns of its first exchange
+  async create({ title, owner, messages = [] } = {}) {
+    const now = new Date().toISOString();
+    const session = {
+      id: crypto.randomUUID(),
+      title: title ? normalizeTitle(title) : null,
+      owner,
+      created_at: now,
+      updated_at: now,
+      messages: []
+    };
+    addMessages(session, messages);
+    await this.write(session);
+    return session;
+  }
+
+  // Summaries of owner's sessions without messages, most recently updated first
+  async list(owner) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const ids = files.filter(file => file.endsWith('.json')).map(file => file.slice(0, -5));
+    const sessions = await Promise.all(ids.map(id => this.read(id)));
+    return sessions
+      .filter(session => session && session.owner === owner)
+      .map(sessionSummary)
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+  }
+
+  // owner's session, or null when it does not exist or belongs to someone else
+  async get(id, owner) {
+    const session = await this.read(id);
+    return session && session.owner === owner ? session : null;
+  }
+
+  rename(id, owner, title) {
+    return this.update(id, owner, session => {
+      session.title = normalizeTitle(title);
+    });
+  }
+
+  appendMessages(id, owner, messages) {
+    return this.update(id, owner, session => addMessages(session, messages));
+  }
+
+  async delete(id, owner) {
+    if (!this.isValidId(id)) return false;
+    // Wait for pending updates, so a write cannot bring the file back
+    await this.queues.get(id)?.catch(() => {});
+    const session = await this.read(id);
+    if (!session || session.owner !== owner) return false;
+    try {
+      await fs.unlink(this.file(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,122 @@
+import { StringDecoder } from 'string_decoder';
+
+// Server-sent events in both directions: reading the Anthropic Messages API
+// stream (stream: true) and writing progress events to the browser.
+
+// Yield { event, data } for each event in a text/event-stream body
+export async function* parseEventStream(stream) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+
+      if (line === '') {
+        if (data.length > 0) {
+          yield { event, data: data.join('\n') };
+        }
+        event = 'message';
+        data = [];
+      } else if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data.push(line.slice(5).replace(/^ /, ''));
+      }
+      // Comments (":") and other fields are ignored
+    }
+  }
+
+  if (data.length > 0) {
+    yield { event, data: data.join('\n') };
+  }
+}
+
+// Build the complete message from a Messages API event stream, the same object a
+// non-streaming request returns. onText is called with each text delta as it arrives.
+export async function readMessageStream(stream, { onText } = {}) {
+  let message = null;
+  // Content block index -> tool input JSON received so far
+  const partialInputs = new Map();
+
+  for await (const { data } of parseEventStream(stream)) {
+    const event = JSON.parse(data);
+
+    switch (event.type) {
+      case 'message_start':
+        message = { ...event.message, content: [] };
+        break;
+
+      case 'content_block_start':
+        message.content[event.index] = { ...event.content_block };
+        if (event.content_block.type === 'tool_use') {
+          partialInputs.set(event.index, '');
+        }
+        break;
+
+      case 'content_block_delta': {
+        const block = message.content[event.index];
+        if (event.delta.type === 'text_delta') {
+          block.text += event.delta.text;
+          onText?.(event.delta.text);
+        } else if (event.delta.type === 'input_json_delta') {
+          partialInputs.set(event.index, partialInputs.get(event.index) + event.delta.partial_json);
+        }
+        break;
+      }
+
+      case 'content_block_stop':
+        if (partialInputs.has(event.index)) {
+          const json = partialInputs.get(event.index);
+          message.content[event.index].input = json ? JSON.parse(json) : {};
+          partialInputs.delete(event.index);
+        }
+        break;
+
+      case 'message_delta':
+        Object.assign(message, event.delta);
+        message.usage = { ...message.usage, ...event.usage };
+        break;
+
+      case 'error': {
+        // Errors after the response started (e.g. overloaded_error) arrive in the stream
+        const error = new Error(event.error?.message || 'Claude stream error');
+        error.code = event.error?.type;
+        throw error;
+      }
+    }
+  }
+
+  if (!message) {
+    throw new Error('Claude stream ended without a message');
+  }
+  return message;
+}
+
+// Switch an Express response to text/event-stream and return a function that sends
+// one event. A comment is sent every 15 seconds so proxies keep slow streams open.
+export function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Disable response buffering in nginx
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  res.on('close', () => clearInterval(heartbeat));
+
+  return (event, data) => {
+    if (!res.writableEnded && !res.destroyed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+}
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { AuthError } from './errors.js';
+
+// API key authentication for the tool routes and /mcp
+// Keys are loaded from the JSON file named by API_KEYS_FILE:
+// {
+//   "keys": [
+//     { "id": "http-bridge", "key": "...", "tools": ["*"], "rate_limit_per_minute": 120, "daily_quota": 10000 },
+//     { "id": "partner", "key_sha256": "<hex digest>", "tools": ["geocode_forward"], "daily_quota": 500, "tenant": "partners" },
+//     { "id": "ops", "key": "...", "admin": true }
+//   ]
+// }
+// Clients send the key as "Authorization: Bearer <key>" or "X-API-Key: <key>".
+// Without API_KEYS_FILE authentication is disabled and every tool is open.
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest();
+
+function parseKey(entry, index) {
+  if (!entry.id) {
+    throw new Error(`API key #${index + 1} has no id`);
+  }
+  if (!entry.key && !entry.key_sha256) {
+    throw new Error(`API key "${entry.id}" needs key or key_sha256`);
+  }
+
+  return {
+    id: entry.id,
+    hash: entry.key_sha256 ? Buffer.from(entry.key_sha256, 'hex') : sha256(entry.key),
+    tools: entry.tools || ['*'],
+    rateLimitPerMinute: entry.rate_limit_per_minute ?? null,
+    dailyQuota: entry.daily_quota ?? null,
+    admin: entry.admin === true,
+    // Tenant (tenants.js) whose Mapbox token this key uses; null lets the X-Tenant header choose
+    tenant: entry.tenant ?? null
+  };
+}
+
+export class ApiKeyStore {
+  constructor(keys = [], { enabled = keys.length > 0 } = {}) {
+    this.enabled = enabled;
+    this.keys = keys.map(parseKey);
+    // Key id -> { minute, minuteCount, day, dayCount }
+    this.usage = new Map();
+  }
+
+  static fromFile(path) {
+    const config = JSON.parse(fs.readFileSync(path, 'utf8'));
+    return new ApiKeyStore(config.keys || [], { enabled: true });
+  }
+
+  // Key for a presented secret, or null. Compares digests in constant time.
+  authenticate(secret) {
+    if (!secret) return null;
+    const hash = sha256(secret);
+    return this.keys.find(key => key.hash.length === hash.length && crypto.timingSafeEqual(key.hash, hash)) || null;
+  }
+
+  isToolAllowed(key, tool) {
+    return key.tools.includes('*') || key.tools.includes(tool);
+  }
+
+  // Throws AuthError (403) when the key may not call the tool
+  checkToolAllowed(key, tool) {
+    if (!this.isToolAllowed(key, tool)) {
+      throw new AuthError(`API key "${key.id}" is not allowed to use ${tool}`, { status: 403, code: 'ToolNotAllowed' });
+    }
+  }
+
+  // Check the rate limit and daily quota for one tool call, and count it. Called only once
+  // the call has passed validation and is about to run, so rejected calls cost nothing.
+  // Throws AuthError (429) when the limit or quota is used up.
+  chargeToolCall(key) {
+    const now = Date.now();
+    const minute = Math.floor(now / MINUTE_MS);
+    const day = Math.floor(now / DAY_MS);
+    const usage = this.usage.get(key.id) || { minute, minuteCount: 0, day, dayCount: 0 };
+
+    if (usage.minute !== minute) {
+      usage.minute = minute;
+      usage.minuteCount = 0;
+    }
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.dayCount = 0;
+    }
+
+    if (key.rateLimitPerMinute !== null && usage.minuteCount >= key.rateLimitPerMinute) {
+      throw new AuthError(`Rate limit of ${key.rateLimitPerMinute} tool calls per minute exceeded`, {
+        status: 429,
+        code: 'RateLimited',
+        retryAfter: Math.ceil(((minute + 1) * MINUTE_MS - now) / 1000)
+      });
+    }
+    if (key.dailyQuota !== null && usage.dayCount >= key.dailyQuota) {
+      throw new AuthError(`Daily quota of ${key.dailyQuota} tool calls exceeded, resets at 00:00 UTC`, {
+        status: 429,
+        code: 'QuotaExceeded',
+        retryAfter: Math.ceil(((day + 1) * DAY_MS - now) / 1000)
+      });
+    }
+
+    usage.minuteCount++;
+    usage.dayCount++;
+    this.usage.set(key.id, usage);
+  }
+}
+
+// Secret from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+function credentialFromRequest(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1].trim() : req.get('X-API-Key');
+}
+
+function sendAuthError(res, error) {
+  if (error.status === 401) {
+    res.set('WWW-Authenticate', 'Bearer realm="mapbox-mcp-server"');
+  }
+  if (error.retryAfter !== undefined) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(error.status).json({ success: false, error: error.message, code: error.code });
+}
+
+// Express middleware: reject requests without a valid key (401) and set req.apiKey.
+// With { admin: true } the key must also be an admin key (403).
+export function requireApiKey(store, { admin = false } = {}) {
+  return (req, res, next) => {
+    if (!store.enabled) return next();
+
+    const secret = credentialFromRequest(req);
+    const key = store.authenticate(secret);
+    if (!key) {
+      return sendAuthError(res, new AuthError(secret ? 'Invalid API key' : 'API key required', {
+        status: 401,
+        code: secret ? 'InvalidApiKey' : 'Unauthorized'
+      }));
+    }
+    if (admin && !key.admin) {
+      return sendAuthError(res, new AuthError(`API key "${key.id}" is not an admin key`, { status: 403, code: 'Forbidden' }));
+    }
+
+    req.apiKey = key;
+    next();
+  };
+}
+
+export const apiKeys = process.env.API_KEYS_FILE
+  ? ApiKeyStore.fromFile(process.env.API_KEYS_FILE)
+  : new ApiKeyStore();
@@ -0,0 +1,188 @@
+// Response cache for Mapbox-backed tools
+// Keys are built from the tool name and its normalized (validated, defaulted) arguments.
+// Storage is pluggable: any backend with async get/set/clear/size works, e.g. a Redis adapter.
+
+// Default TTL per tool, in seconds. Tools not listed here are never cached
+// (geocode_batch caches each of its queries as a geocode_forward lookup).
+const DEFAULT_TTLS = {
+  geocode_forward: 24 * 60 * 60,
+  geocode_reverse: 24 * 60 * 60,
+  get_directions: 5 * 60,
+  get_matrix: 5 * 60,
+  get_isochrone: 60 * 60,
+  match_trace: 60 * 60,
+  optimize_route: 5 * 60
+};
+
+// In-memory backend with TTL expiry and an LRU size bound
+export class MemoryCacheBackend {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.name = 'memory';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  // Remove all entries, or only those whose key starts with prefix. Returns the number removed.
+  async clear(prefix) {
+    if (!prefix) {
+      const count = this.entries.size;
+      this.entries.clear();
+      return count;
+    }
+
+    let count = 0;
+    for (const key of [...this.entries.keys()]) {
+      if (key.startsWith(prefix)) {
+        this.entries.delete(key);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+// Stable representation of arguments: sorted keys, trimmed strings, coordinates rounded to ~0.1 m
+function normalize(value) {
+  if (Array.isArray(value)) return value.map(normalize);
+  if (typeof value === 'number') return Math.round(value * 1e6) / 1e6;
+  if (typeof value === 'string') return value.trim();
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((result, key) => {
+      if (value[key] !== undefined) result[key] = normalize(value[key]);
+      return result;
+    }, {});
+  }
+  return value;
+}
+
+export class ResponseCache {
+  constructor({ backend = new MemoryCacheBackend(), ttls = DEFAULT_TTLS, enabled = true } = {}) {
+    this.backend = backend;
+    this.ttls = ttls;
+    this.enabled = enabled;
+    this.hits = 0;
+    this.misses = 0;
+    this.errors = 0;
+  }
+
+  isCacheable(tool) {
+    return this.enabled && this.ttls[tool] > 0;
+  }
+
+  // scope separates entries that must not be shared, e.g. per tenant
+  key(tool, args, scope) {
+    return `${tool}:${scope ? `${scope}:` : ''}${JSON.stringify(normalize(args))}`;
+  }
+
+  // Return the cached result for this call, or run fn and cache its result.
+  // Backend failures are logged and treated as a miss so they never fail the tool call.
+  async wrap(tool, args, fn, { bypass = false, scope } = {}) {
+    if (!this.isCacheable(tool) || bypass) {
+      return fn();
+    }
+
+    const key = this.key(tool, args, scope);
+
+    try {
+      const cached = await this.backend.get(key);
+      if (cached !== undefined) {
+        this.hits++;
+        return { ...cached, cached: true };
+      }
+    } catch (error) {
+      this.errors++;
+      console.error('Cache read error:', error.message);
+    }
+
+    this.misses++;
+    const result = await fn();
+
+    // Incomplete results (e.g. a matrix with failed blocks) are not worth keeping
+    if (result.partial) {
+      return result;
+    }
+
+    try {
+      await this.backend.set(key, result, this.ttls[tool]);
+    } catch (error) {
+      this.errors++;
+      console.error('Cache write error:', error.message);
+    }
+
+    return result;
+  }
+
+  // Purge everything, or only the entries for one tool
+  async purge(tool) {
+    return this.backend.clear(tool ? `${tool}:` : undefined);
+  }
+
+  async stats() {
+    const lookups = this.hits + this.misses;
+    return {
+      enabled: this.enabled,
+      backend: this.backend.name || 'custom',
+      size: await this.backend.size(),
+      max_entries: this.backend.maxEntries,
+      hits: this.hits,
+      misses: this.misses,
+      hit_rate: lookups > 0 ? this.hits / lookups : 0,
+      evictions: this.backend.evictions,
+      errors: this.errors,
+      ttls: this.ttls
+    };
+  }
+}
+
+// TTLs can be overridden per tool with CACHE_TTL_<TOOL_NAME> (seconds, 0 disables caching for that tool)
+function ttlsFromEnv() {
+  const ttls = { ...DEFAULT_TTLS };
+  for (const tool of Object.keys(ttls)) {
+    const value = process.env[`CACHE_TTL_${tool.toUpperCase()}`];
+    if (value !== undefined) {
+      ttls[tool] = Number(value);
+    }
+  }
+  return ttls;
+}
+
+export const responseCache = new ResponseCache({
+  backend: new MemoryCacheBackend({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000 }),
+  ttls: ttlsFromEnv(),
+  enabled: process.env.CACHE_ENABLED !== 'false'
+});
+
+// Swap the storage backend (e.g. for a shared Redis cache)
+export function setCacheBackend(backend) {
+  responseCache.backend = backend;
+}
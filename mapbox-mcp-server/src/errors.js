@@ -0,0 +1,29 @@
+// Errors carrying the HTTP status and a stable `code` to report to clients
+
+export class ToolError extends Error {
+  constructor(message, { status = 500, code = 'InternalError' } = {}) {
+    super(message);
+    this.name = 'ToolError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// A Mapbox API call failed; upstreamStatus is Mapbox's HTTP status (undefined for timeouts and network errors)
+export class UpstreamError extends ToolError {
+  constructor(message, { status, code, upstreamStatus } = {}) {
+    super(message, { status, code });
+    this.name = 'UpstreamError';
+    this.upstreamStatus = upstreamStatus;
+  }
+}
+
+// Request rejected by authentication, tool allowlists, rate limits or quotas (401, 403, 429).
+// retryAfter is in seconds, for the Retry-After header.
+export class AuthError extends ToolError {
+  constructor(message, { status = 401, code = 'Unauthorized', retryAfter } = {}) {
+    super(message, { status, code });
+    this.name = 'AuthError';
+    this.retryAfter = retryAfter;
+  }
+}
@@ -0,0 +1,254 @@
+// Local geometry helpers (no Mapbox calls)
+
+export const EARTH_RADIUS_METERS = 6371008.8;
+
+const toRadians = degrees => degrees * Math.PI / 180;
+
+// Approximate area of a [lon, lat] ring on the sphere, in square meters
+export function ringArea(ring) {
+  if (ring.length < 3) return 0;
+
+  let total = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[(i + 1) % ring.length];
+    total += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+
+  return Math.abs(total * EARTH_RADIUS_METERS * EARTH_RADIUS_METERS / 2);
+}
+
+// Area of a GeoJSON geometry in square meters (holes subtracted).
+// LineStrings are treated as closed rings, so isochrone contour lines also get an area.
+export function geometryArea(geometry) {
+  if (!geometry) return 0;
+
+  switch (geometry.type) {
+    case 'Polygon':
+      return geometry.coordinates.reduce(
+        (sum, ring, index) => sum + (index === 0 ? ringArea(ring) : -ringArea(ring)), 0);
+    case 'MultiPolygon':
+      return geometry.coordinates.reduce(
+        (sum, polygon) => sum + geometryArea({ type: 'Polygon', coordinates: polygon }), 0);
+    case 'LineString':
+      return ringArea(geometry.coordinates);
+    case 'MultiLineString':
+      return geometry.coordinates.reduce((sum, line) => sum + ringArea(line), 0);
+    default:
+      return 0;
+  }
+}
+
+// Encode [lon, lat] coordinates as a Google encoded polyline (precision 5, or 6 for polyline6)
+export function encodePolyline(coordinates, precision = 5) {
+  const factor = 10 ** precision;
+  let output = '';
+  let previousLat = 0;
+  let previousLon = 0;
+
+  const encodeValue = value => {
+    let current = value < 0 ? ~(value << 1) : value << 1;
+    let chunk = '';
+    while (current >= 0x20) {
+      chunk += String.fromCharCode((0x20 | (current & 0x1f)) + 63);
+      current >>= 5;
+    }
+    return chunk + String.fromCharCode(current + 63);
+  };
+
+  for (const [lon, lat] of coordinates) {
+    const latValue = Math.round(lat * factor);
+    const lonValue = Math.round(lon * factor);
+    output += encodeValue(latValue - previousLat) + encodeValue(lonValue - previousLon);
+    previousLat = latValue;
+    previousLon = lonValue;
+  }
+
+  return output;
+}
+
+// Decode a Google encoded polyline into [lon, lat] coordinates
+export function decodePolyline(polyline, precision = 5) {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lon = 0;
+
+  const decodeValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= polyline.length) {
+        throw new Error('Invalid polyline: unexpected end of input');
+      }
+      byte = polyline.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+
+  while (index < polyline.length) {
+    lat += decodeValue();
+    lon += decodeValue();
+    coordinates.push([lon / factor, lat / factor]);
+  }
+
+  return coordinates;
+}
+
+const toDegrees = radians => radians * 180 / Math.PI;
+
+// Great-circle distance between two [lon, lat] points, in meters
+export function haversineDistance([lon1, lat1], [lon2, lat2]) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Initial bearing from one point to another, in degrees clockwise from north (0-360)
+export function bearing([lon1, lat1], [lon2, lat2]) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+// 16-point compass direction for a bearing
+export function compassDirection(degrees) {
+  const directions = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+  return directions[Math.round(degrees / 22.5) % 16];
+}
+
+// Great-circle midpoint between two points
+export function midpoint([lon1, lat1], [lon2, lat2]) {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const lambda1 = toRadians(lon1);
+  const dLon = toRadians(lon2 - lon1);
+  const bx = Math.cos(phi2) * Math.cos(dLon);
+  const by = Math.cos(phi2) * Math.sin(dLon);
+  const phi = Math.atan2(Math.sin(phi1) + Math.sin(phi2), Math.sqrt((Math.cos(phi1) + bx) ** 2 + by ** 2));
+  const lambda = lambda1 + Math.atan2(by, Math.cos(phi1) + bx);
+  return [((toDegrees(lambda) + 540) % 360) - 180, toDegrees(phi)];
+}
+
+// Point at a distance (meters) and bearing (degrees) from a start point
+export function destination([lon, lat], distance, bearingDegrees) {
+  const delta = distance / EARTH_RADIUS_METERS;
+  const theta = toRadians(bearingDegrees);
+  const phi1 = toRadians(lat);
+  const lambda1 = toRadians(lon);
+  const phi2 = Math.asin(Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta));
+  const lambda2 = lambda1 + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2));
+  return [((toDegrees(lambda2) + 540) % 360) - 180, toDegrees(phi2)];
+}
+
+// [minLon, minLat, maxLon, maxLat] of a list of points
+export function boundingBox(points) {
+  const lons = points.map(point => point[0]);
+  const lats = points.map(point => point[1]);
+  return [Math.min(...lons), Math.min(...lats), Math.max(...lons), Math.max(...lats)];
+}
+
+// Mean of a list of points
+export function pointsCentroid(points) {
+  const sum = points.reduce(([x, y], [lon, lat]) => [x + lon, y + lat], [0, 0]);
+  return [sum[0] / points.length, sum[1] / points.length];
+}
+
+// Area-weighted centroid of a polygon's outer ring (planar, fine for city-sized shapes)
+export function polygonCentroid(ring) {
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [x1, y1] = ring[i];
+    const [x2, y2] = ring[i + 1];
+    const cross = x1 * y2 - x2 * y1;
+    area += cross;
+    x += (x1 + x2) * cross;
+    y += (y1 + y2) * cross;
+  }
+  if (area === 0) return pointsCentroid(ring);
+  return [x / (3 * area), y / (3 * area)];
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// Ray casting test against a polygon given as rings (first ring outer, the rest holes)
+export function pointInPolygon(point, rings) {
+  if (!pointInRing(point, rings[0])) return false;
+  return !rings.slice(1).some(hole => pointInRing(point, hole));
+}
+
+// Circle polygon ring around a point, radius in meters
+export function circle(center, radius, steps = 64) {
+  const ring = [];
+  for (let i = 0; i < steps; i++) {
+    ring.push(destination(center, radius, (i * 360) / steps));
+  }
+  ring.push(ring[0]);
+  return ring;
+}
+
+// Douglas-Peucker simplification with a tolerance in meters.
+// Points are projected to a local equirectangular plane so the tolerance is metric.
+export function simplify(points, tolerance) {
+  if (points.length <= 2) return points;
+
+  const meanLat = toRadians(points.reduce((sum, point) => sum + point[1], 0) / points.length);
+  const metersPerDegree = EARTH_RADIUS_METERS * Math.PI / 180;
+  const project = ([lon, lat]) => [lon * metersPerDegree * Math.cos(meanLat), lat * metersPerDegree];
+  const projected = points.map(project);
+
+  const segmentDistance = (p, a, b) => {
+    const dx = b[0] - a[0];
+    const dy = b[1] - a[1];
+    const lengthSquared = dx * dx + dy * dy;
+    let t = lengthSquared > 0 ? ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSquared : 0;
+    t = Math.max(0, Math.min(1, t));
+    return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+  };
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = keep[points.length - 1] = true;
+  const stack = [[0, points.length - 1]];
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistance(projected[i], projected[first], projected[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+}
@@ -0,0 +1,132 @@
+// Normalize Geocoding v5, Geocoding v6 and Search Box features into one result shape:
+// {
+//   name, place_name, center, place_type, feature_type, mapbox_id, bbox,
+//   address: { address_number, street, neighborhood, locality, postcode, place, district, region, region_code, country, country_code },
+//   relevance, match_quality, accuracy, source
+// }
+// match_quality is one of 'exact', 'high', 'medium', 'low' (null when the API gives no score).
+// Search Box POIs also carry poi_category.
+
+const ADDRESS_LEVELS = ['neighborhood', 'locality', 'postcode', 'place', 'district', 'region', 'country'];
+
+function emptyAddress() {
+  return {
+    address_number: null,
+    street: null,
+    neighborhood: null,
+    locality: null,
+    postcode: null,
+    place: null,
+    district: null,
+    region: null,
+    region_code: null,
+    country: null,
+    country_code: null
+  };
+}
+
+// v5 only has a relevance score; bucket it so all APIs report comparable quality
+function qualityFromRelevance(relevance) {
+  if (relevance === undefined || relevance === null) return null;
+  if (relevance >= 0.99) return 'exact';
+  if (relevance >= 0.9) return 'high';
+  if (relevance >= 0.7) return 'medium';
+  return 'low';
+}
+
+// Geocoding v5 (mapbox.places)
+export function normalizeV5Feature(feature) {
+  const address = emptyAddress();
+  const featureType = feature.place_type?.[0];
+
+  for (const item of feature.context || []) {
+    const level = item.id.split('.')[0];
+    if (ADDRESS_LEVELS.includes(level)) {
+      address[level] = item.text;
+    }
+    if (level === 'region' && item.short_code) {
+      address.region_code = item.short_code.split('-').pop();
+    }
+    if (level === 'country' && item.short_code) {
+      address.country_code = item.short_code.toUpperCase();
+    }
+  }
+
+  // The feature itself is one of the address levels (e.g. a place or a postcode)
+  if (ADDRESS_LEVELS.includes(featureType)) {
+    address[featureType] = feature.text;
+    if (featureType === 'country' && feature.properties?.short_code) {
+      address.country_code = feature.properties.short_code.toUpperCase();
+    }
+  }
+
+  if (featureType === 'address') {
+    address.address_number = feature.address || null;
+    address.street = feature.text;
+  }
+
+  return {
+    name: feature.text,
+    place_name: feature.place_name,
+    center: feature.center,
+    place_type: feature.place_type,
+    feature_type: featureType,
+    mapbox_id: feature.id,
+    bbox: feature.bbox || null,
+    address,
+    relevance: feature.relevance,
+    match_quality: qualityFromRelevance(feature.relevance),
+    accuracy: feature.properties?.accuracy || null,
+    source: 'v5'
+  };
+}
+
+// Context object shared by Geocoding v6 and the Search Box API
+function addressFromContext(context = {}) {
+  const address = emptyAddress();
+
+  for (const level of ADDRESS_LEVELS) {
+    if (context[level]) {
+      address[level] = context[level].name;
+    }
+  }
+
+  address.region_code = context.region?.region_code || null;
+  address.country_code = context.country?.country_code?.toUpperCase() || null;
+  address.address_number = context.address?.address_number || null;
+  address.street = context.address?.street_name || context.street?.name || null;
+
+  return address;
+}
+
+// Geocoding v6 and Search Box features share the same properties layout
+export function normalizeSearchFeature(feature, source) {
+  const properties = feature.properties || {};
+  const address = addressFromContext(properties.context);
+  const featureType = properties.feature_type;
+
+  if (ADDRESS_LEVELS.includes(featureType) && !address[featureType]) {
+    address[featureType] = properties.name;
+  }
+
+  const result = {
+    name: properties.name,
+    place_name: properties.full_address || [properties.name, properties.place_formatted].filter(Boolean).join(', '),
+    center: feature.geometry?.coordinates || [properties.coordinates?.longitude, properties.coordinates?.latitude],
+    place_type: [featureType],
+    feature_type: featureType,
+    mapbox_id: properties.mapbox_id,
+    bbox: properties.bbox || null,
+    address,
+    relevance: null,
+    match_quality: properties.match_code?.confidence || null,
+    accuracy: properties.coordinates?.accuracy || null,
+    source
+  };
+
+  if (properties.poi_category) {
+    result.poi_category = properties.poi_category;
+  }
+
+  return result;
+}
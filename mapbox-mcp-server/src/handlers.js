@@ -0,0 +1,1225 @@
+import { tools } from './tools.js';
+import { mapboxGet, MAPBOX_API_URL } from './mapbox.js';
+import { ToolError, UpstreamError, AuthError } from './errors.js';
+import { validateArguments, ValidationError } from './validation.js';
+import {
+  EARTH_RADIUS_METERS,
+  geometryArea,
+  encodePolyline,
+  decodePolyline,
+  haversineDistance,
+  bearing,
+  compassDirection,
+  midpoint,
+  boundingBox,
+  pointsCentroid,
+  polygonCentroid,
+  pointInPolygon,
+  circle,
+  simplify
+} from './geo.js';
+import { mapWithConcurrency } from '../../shared/concurrency.js';
+import { responseCache } from './cache.js';
+import { registry } from '../../shared/metrics.js';
+import { tenants } from './tenants.js';
+import { staticImageResult } from './static-images.js';
+import { buildStaticMapUrl, checkStyle } from './static-map.js';
+import { normalizeV5Feature, normalizeSearchFeature } from './geocoding.js';
+
+// Tool implementations
+// Each handler receives the tool arguments plus call options ({ cache, tenant, imageProxy }) and
+// resolves with the JSON result, or throws so the caller (REST route or MCP tools/call)
+// can report the error. Checks the JSON Schema cannot express live in a validator per tool
+// (argumentValidators), which throws ValidationError before the call is charged or run.
+
+// Forward Geocoding
+// api: 'v5' (legacy mapbox.places), 'v6' (Geocoding v6) or 'searchbox' (Search Box API, includes POIs)
+function forwardGeocodingUrl(api, query) {
+  switch (api) {
+    case 'v6':
+      return `${MAPBOX_API_URL}/search/geocode/v6/forward?q=${encodeURIComponent(query)}`;
+    case 'searchbox':
+      return `${MAPBOX_API_URL}/search/searchbox/v1/forward?q=${encodeURIComponent(query)}`;
+    default:
+      return `${MAPBOX_API_URL}/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json?`;
+  }
+}
+
+async function geocodeForward({
+  query,
+  limit = 5,
+  country,
+  proximity,
+  bbox,
+  types,
+  language,
+  autocomplete,
+  fuzzyMatch,
+  worldview,
+  api = 'v5'
+}, { tenant }) {
+  const params = new URLSearchParams({
+    limit: limit.toString()
+  });
+
+  if (country) {
+    params.append('country', country);
+  }
+
+  if (proximity) {
+    params.append('proximity', proximity.join(','));
+  }
+
+  if (bbox) {
+    params.append('bbox', bbox.join(','));
+  }
+
+  if (types && types.length > 0) {
+    params.append('types', types.join(','));
+  }
+
+  if (language) {
+    params.append('language', language);
+  }
+
+  if (autocomplete !== undefined) {
+    // The Search Box API spells it auto_complete
+    params.append(api === 'searchbox' ? 'auto_complete' : 'autocomplete', autocomplete.toString());
+  }
+
+  // fuzzyMatch is only supported by Geocoding v5
+  if (fuzzyMatch !== undefined && api === 'v5') {
+    params.append('fuzzyMatch', fuzzyMatch.toString());
+  }
+
+  if (worldview) {
+    params.append('worldview', worldview);
+  }
+
+  let url = forwardGeocodingUrl(api, query);
+  url += url.endsWith('?') ? params : `&${params}`;
+
+  const response = await mapboxGet(url, { tenant });
+
+  const results = response.data.features.map(feature =>
+    api === 'v5' ? normalizeV5Feature(feature) : normalizeSearchFeature(feature, api));
+
+  return {
+    success: true,
+    results,
+    total: results.length,
+    api
+  };
+}
+
+// Reverse Geocoding
+async function geocodeReverse({ longitude, latitude, types }, { tenant }) {
+  let url = `${MAPBOX_API_URL}/geocoding/v5/mapbox.places/${longitude},${latitude}.json`;
+  const params = new URLSearchParams();
+
+  if (types && types.length > 0) {
+    params.append('types', types.join(','));
+  }
+
+  url += `?${params}`;
+
+  const response = await mapboxGet(url, { tenant });
+
+  const results = response.data.features.map(normalizeV5Feature);
+
+  return {
+    success: true,
+    results,
+    total: results.length
+  };
+}
+
+// Directions
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2})?(Z|[+-]\d{2}:\d{2})?$/;
+
+// Convert a GeoJSON LineString into the requested geometry format
+function formatGeometry(geometry, geometries) {
+  if (!geometry || geometries === 'geojson') return geometry;
+  return encodePolyline(geometry.coordinates, geometries === 'polyline6' ? 6 : 5);
+}
+
+function formatDistance(meters) {
+  return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters)} m`;
+}
+
+// Compact, token-friendly view of a route: totals per leg and one line per maneuver
+function summarizeRoute(route, waypoints, polyline) {
+  return {
+    distance: route.distance,
+    duration: route.duration,
+    polyline,
+    legs: route.legs.map((leg, index) => ({
+      from: waypoints[index]?.name || null,
+      to: waypoints[index + 1]?.name || null,
+      distance: leg.distance,
+      duration: leg.duration,
+      summary: leg.summary,
+      instructions: leg.steps?.length
+        ? leg.steps.map(step => step.distance > 0
+          ? `${step.maneuver.instruction} (${formatDistance(step.distance)})`
+          : step.maneuver.instruction)
+        : undefined
+    }))
+  };
+}
+
+function validateDirections({ coordinates, profile = 'driving', depart_at, arrive_by, waypoint_names }) {
+  const errors = [];
+  if (depart_at && arrive_by) {
+    errors.push({ field: 'arrive_by', message: 'cannot be combined with depart_at' });
+  }
+  if (depart_at && !profile.startsWith('driving')) {
+    errors.push({ field: 'depart_at', message: 'is only supported for the driving and driving-traffic profiles' });
+  }
+  if (arrive_by && profile !== 'driving') {
+    errors.push({ field: 'arrive_by', message: 'is only supported for the driving profile' });
+  }
+  for (const [field, value] of Object.entries({ depart_at, arrive_by })) {
+    if (value && !DATETIME_PATTERN.test(value)) {
+      errors.push({ field, message: 'must be an ISO 8601 date-time like "2025-06-01T08:30"' });
+    }
+  }
+  if (waypoint_names && waypoint_names.length !== coordinates.length) {
+    errors.push({ field: 'waypoint_names', message: `must have one name per coordinate (${coordinates.length})` });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
+async function getDirections({
+  coordinates,
+  profile = 'driving',
+  geometries = 'geojson',
+  steps = true,
+  overview = 'full',
+  alternatives = false,
+  exclude,
+  annotations,
+  depart_at,
+  arrive_by,
+  waypoint_names,
+  language,
+  format = 'full'
+}, { tenant }) {
+
+  const coordinateString = coordinates.map(coord => coord.join(',')).join(';');
+
+  // One request in GeoJSON; other geometry formats and the polyline are encoded locally
+  const params = new URLSearchParams({
+    geometries: 'geojson',
+    steps: steps.toString(),
+    overview,
+    alternatives: alternatives.toString()
+  });
+
+  if (exclude && exclude.length > 0) {
+    params.append('exclude', exclude.join(','));
+  }
+
+  if (annotations && annotations.length > 0 && format === 'full') {
+    params.append('annotations', annotations.join(','));
+  }
+
+  if (depart_at) {
+    params.append('depart_at', depart_at);
+  }
+
+  if (arrive_by) {
+    params.append('arrive_by', arrive_by);
+  }
+
+  if (waypoint_names) {
+    params.append('waypoint_names', waypoint_names.join(';'));
+  }
+
+  if (language) {
+    params.append('language', language);
+  }
+
+  const url = `${MAPBOX_API_URL}/directions/v5/mapbox/${profile}/${coordinateString}?${params}`;
+
+  const response = await mapboxGet(url, { tenant });
+  const { routes = [], waypoints = [], code } = response.data;
+
+  // Encoded polyline of each route for map visualization (get_route_map)
+  const polylines = routes.map(route => route.geometry ? encodePolyline(route.geometry.coordinates) : undefined);
+
+  if (format === 'summary') {
+    return {
+      success: true,
+      format,
+      code,
+      routes: routes.map((route, index) => summarizeRoute(route, waypoints, polylines[index])),
+      waypoints: waypoints.map(waypoint => ({ name: waypoint.name, location: waypoint.location })),
+      polyline: polylines[0]
+    };
+  }
+
+  const result = {
+    success: true,
+    routes: routes.map(route => ({
+      ...route,
+      geometry: formatGeometry(route.geometry, geometries),
+      legs: route.legs.map(leg => ({
+        ...leg,
+        steps: leg.steps?.map(step => ({ ...step, geometry: formatGeometry(step.geometry, geometries) }))
+      }))
+    })),
+    waypoints,
+    code
+  };
+
+  if (polylines[0]) {
+    result.polyline = polylines[0];
+  }
+
+  if (alternatives && polylines.length > 1) {
+    result.polylines = polylines;
+  }
+
+  return result;
+}
+
+// Static Images
+// Without bbox or center/zoom, Mapbox frames the overlays automatically
+function staticImageUrl({
+  style,
+  width = 600,
+  height = 400,
+  zoom,
+  center,
+  bbox,
+  bearing,
+  pitch,
+  padding,
+  retina = false,
+  markers = [],
+  paths = [],
+  geojson
+}, tenant) {
+  return buildStaticMapUrl({
+    style: style || tenant.defaultStyle, width, height, retina, padding, bbox, center, zoom, bearing, pitch, geojson, paths, markers
+  });
+}
+
+function validateStaticImage(args, { tenant }) {
+  const { zoom, center, bbox, bearing, pitch, markers = [], paths = [], geojson } = args;
+  const errors = [];
+  if ((bearing !== undefined || pitch !== undefined) && !(center && zoom !== undefined)) {
+    errors.push({ field: bearing !== undefined ? 'bearing' : 'pitch', message: 'requires center and zoom' });
+  }
+  paths.forEach((path, index) => {
+    if (!path.polyline && !path.coordinates) {
+      errors.push({ field: `paths[${index}]`, message: 'needs either polyline or coordinates' });
+    } else if (!path.coordinates) {
+      try {
+        decodePolyline(path.polyline);
+      } catch (error) {
+        errors.push({ field: `paths[${index}].polyline`, message: error.message });
+      }
+    }
+  });
+  if (!bbox && !(center && zoom !== undefined) && !geojson && paths.length === 0 && markers.length === 0) {
+    errors.push({ field: 'center', message: 'and zoom are required unless bbox or an overlay is given' });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  // Building the URL rejects invalid styles and overlays that do not fit in it
+  staticImageUrl(args, tenant);
+}
+
+async function getStaticImage(args, { tenant, imageProxy }) {
+  const { width = 600, height = 400, inline = false } = args;
+  const { url, tolerance } = staticImageUrl(args, tenant);
+
+  const result = {
+    success: true,
+    ...await staticImageResult(url, { inline, tenant, proxy: imageProxy }),
+    width,
+    height
+  };
+
+  if (tolerance > 0) {
+    result.simplified_meters = tolerance;
+  }
+
+  return result;
+}
+
+// Route Map
+// Colors for route alternatives: the primary route first, then each alternative
+const ROUTE_COLORS = ['0080ff', 'ff7f0e', '9467bd', '2ca02c', '8c564b'];
+// Smallest extent (meters) a route map is framed to, so single points and straight
+// north-south or east-west routes still get a sensible zoom level
+const MIN_ROUTE_MAP_SPAN_METERS = 500;
+// Mapbox pin labels go up to 99
+const MAX_MARKER_LABEL = 99;
+
+// Bounding box of all points with 10% padding, widened to a minimum span where it is degenerate
+function routeMapBoundingBox(points) {
+  let [minLon, minLat, maxLon, maxLat] = boundingBox(points);
+
+  const metersPerDegreeLat = EARTH_RADIUS_METERS * Math.PI / 180;
+  const metersPerDegreeLon = metersPerDegreeLat * Math.max(Math.cos((minLat + maxLat) / 2 * Math.PI / 180), 0.01);
+  const minLatSpan = MIN_ROUTE_MAP_SPAN_METERS / metersPerDegreeLat;
+  const minLonSpan = MIN_ROUTE_MAP_SPAN_METERS / metersPerDegreeLon;
+
+  if (maxLat - minLat < minLatSpan) {
+    const middle = (minLat + maxLat) / 2;
+    minLat = middle - minLatSpan / 2;
+    maxLat = middle + minLatSpan / 2;
+  }
+  if (maxLon - minLon < minLonSpan) {
+    const middle = (minLon + maxLon) / 2;
+    minLon = middle - minLonSpan / 2;
+    maxLon = middle + minLonSpan / 2;
+  }
+
+  const lonPadding = (maxLon - minLon) * 0.1;
+  const latPadding = (maxLat - minLat) * 0.1;
+
+  return [
+    Math.max(minLon - lonPadding, -180),
+    Math.max(minLat - latPadding, -85),
+    Math.min(maxLon + lonPadding, 180),
+    Math.min(maxLat + latPadding, 85)
+  ];
+}
+
+// Numbered pins for every waypoint: green start, red end, blue stops in between
+function waypointMarkers(coordinates) {
+  return coordinates.map(([longitude, latitude], index) => {
+    let color = '3bb2d0';
+    if (index === 0) color = '00ff00';
+    else if (index === coordinates.length - 1) color = 'ff0000';
+
+    return {
+      longitude,
+      latitude,
+      color,
+      label: index + 1 <= MAX_MARKER_LABEL ? String(index + 1) : undefined
+    };
+  });
+}
+
+// Map of the waypoints and routes, framed around both. Alternatives are drawn first so the
+// primary route stays on top. Returns { url, tolerance, bbox }.
+function routeMapUrl({ coordinates, style, width = 800, height = 600 }, polylines, tenant) {
+  const paths = polylines
+    .map((polyline, index) => ({
+      polyline,
+      stroke_width: index === 0 ? 5 : 4,
+      stroke_color: ROUTE_COLORS[index % ROUTE_COLORS.length],
+      stroke_opacity: index === 0 ? 0.85 : 0.6
+    }))
+    .reverse();
+
+  const bbox = routeMapBoundingBox([...coordinates, ...polylines.flatMap(polyline => decodePolyline(polyline))]);
+
+  return {
+    ...buildStaticMapUrl({
+      style: style || tenant.defaultStyle, width, height, bbox, paths, markers: waypointMarkers(coordinates)
+    }),
+    bbox
+  };
+}
+
+// The route is looked up with get_directions unless polylines are given or fetch_route is false
+function needsRouteLookup({ coordinates, fetch_route = true }, polylines) {
+  return polylines.length === 0 && fetch_route && coordinates.length >= 2;
+}
+
+function validateRouteMap(args, { tenant }) {
+  const { style, route_polyline, route_polylines } = args;
+  const polylines = route_polylines || (route_polyline ? [route_polyline] : []);
+
+  const errors = [];
+  if (route_polyline && route_polylines) {
+    errors.push({ field: 'route_polylines', message: 'cannot be combined with route_polyline' });
+  }
+  polylines.forEach((polyline, index) => {
+    try {
+      decodePolyline(polyline);
+    } catch (error) {
+      const field = route_polylines ? `route_polylines[${index}]` : 'route_polyline';
+      errors.push({ field, message: error.message });
+    }
+  });
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  // Without a route lookup the whole map is known now, so build it to reject styles and
+  // overlays that do not fit; otherwise only the style can be checked up front
+  if (!needsRouteLookup(args, polylines)) {
+    routeMapUrl(args, polylines, tenant);
+  } else if (style !== undefined) {
+    checkStyle(style);
+  }
+}
+
+async function getRouteMap(args, { cache = true, tenant, imageProxy }) {
+  const {
+    coordinates,
+    width = 800,
+    height = 600,
+    route_polyline,
+    route_polylines,
+    profile = 'driving',
+    alternatives = false,
+    inline = false
+  } = args;
+  let polylines = route_polylines || (route_polyline ? [route_polyline] : []);
+
+  let routeSource = polylines.length > 0 ? 'provided' : 'none';
+  let routes;
+  let routeError;
+
+  // No route given: look it up, sharing the directions cache
+  if (needsRouteLookup(args, polylines)) {
+    try {
+      const directions = await callTool('get_directions', {
+        coordinates,
+        profile,
+        alternatives,
+        steps: false,
+        format: 'summary'
+      }, { cache, tenant });
+
+      polylines = directions.routes.map(route => route.polyline).filter(Boolean);
+      routes = directions.routes.map((route, index) => ({
+        color: ROUTE_COLORS[index % ROUTE_COLORS.length],
+        distance: route.distance,
+        duration: route.duration
+      }));
+      routeSource = 'directions';
+    } catch (error) {
+      // Still draw the waypoints when no route exists between them
+      if (error.status !== 404) throw error;
+      routeError = error.message;
+    }
+  }
+
+  const { url, tolerance, bbox } = routeMapUrl(args, polylines, tenant);
+
+  const result = {
+    success: true,
+    ...await staticImageResult(url, { inline, tenant, proxy: imageProxy }),
+    width,
+    height,
+    start_coordinates: coordinates[0],
+    end_coordinates: coordinates[coordinates.length - 1],
+    waypoint_count: coordinates.length,
+    bounding_box: bbox,
+    route_source: routeSource,
+    route_colors: polylines.map((_, index) => ROUTE_COLORS[index % ROUTE_COLORS.length])
+  };
+
+  if (routes) {
+    result.routes = routes;
+  }
+  if (routeError) {
+    result.route_error = routeError;
+  }
+  if (tolerance > 0) {
+    result.simplified_meters = tolerance;
+  }
+
+  return result;
+}
+
+// Matrix API
+// Coordinates per request allowed by the Matrix API
+const MATRIX_LIMITS = { 'driving-traffic': 10, default: 25 };
+// Largest table one call may ask for (e.g. 100x100 or 200x50) and most block requests it may
+// make, to stay near the Matrix API rate limit and within a client's tool timeout
+const MAX_MATRIX_ELEMENTS = 10000;
+const MAX_MATRIX_BLOCKS = 100;
+
+// Sizes of the source x destination blocks a large matrix is split into, each fitting one request
+function matrixBlockSizes(profile, sourceCount, destinationCount) {
+  const limit = MATRIX_LIMITS[profile] || MATRIX_LIMITS.default;
+  const destinationBlockSize = Math.min(destinationCount, Math.floor(limit / 2));
+  const sourceBlockSize = Math.min(sourceCount, limit - destinationBlockSize);
+  return { sourceBlockSize, destinationBlockSize };
+}
+
+async function requestMatrix(coordinates, profile, sources, destinations, annotations, tenant) {
+  const coordinateString = coordinates.map(coord => coord.join(',')).join(';');
+  let url = `${MAPBOX_API_URL}/directions-matrix/v1/mapbox/${profile}/${coordinateString}`;
+
+  const params = new URLSearchParams({
+    annotations: annotations.join(',')
+  });
+
+  if (sources) {
+    params.append('sources', sources.join(';'));
+  }
+
+  if (destinations) {
+    params.append('destinations', destinations.join(';'));
+  }
+
+  url += `?${params}`;
+
+  const response = await mapboxGet(url, { tenant });
+  return response.data;
+}
+
+function validateMatrix({ coordinates, profile = 'driving', sources, destinations }) {
+  const errors = [];
+  for (const [field, indices] of Object.entries({ sources, destinations })) {
+    (indices || []).forEach((i, position) => {
+      if (!Number.isInteger(i) || i < 0 || i >= coordinates.length) {
+        errors.push({ field: `${field}[${position}]`, message: `must be an integer between 0 and ${coordinates.length - 1}` });
+      }
+    });
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  const sourceCount = (sources || coordinates).length;
+  const destinationCount = (destinations || coordinates).length;
+  if (sourceCount * destinationCount > MAX_MATRIX_ELEMENTS) {
+    throw new ValidationError([{
+      field: 'coordinates',
+      message: `make a ${sourceCount}x${destinationCount} matrix, more than the ${MAX_MATRIX_ELEMENTS} cells allowed per call (e.g. 100x100 or 200x50); use sources and destinations or split the request`
+    }]);
+  }
+  if (coordinates.length > (MATRIX_LIMITS[profile] || MATRIX_LIMITS.default)) {
+    const { sourceBlockSize, destinationBlockSize } = matrixBlockSizes(profile, sourceCount, destinationCount);
+    const blocks = Math.ceil(sourceCount / sourceBlockSize) * Math.ceil(destinationCount / destinationBlockSize);
+    if (blocks > MAX_MATRIX_BLOCKS) {
+      throw new ValidationError([{
+        field: 'coordinates',
+        message: `need ${blocks} ${profile} Matrix requests for a ${sourceCount}x${destinationCount} matrix, more than the ${MAX_MATRIX_BLOCKS} allowed per call; use fewer sources or destinations`
+      }]);
+    }
+  }
+}
+
+async function getMatrix({
+  coordinates,
+  profile = 'driving',
+  sources,
+  destinations,
+  annotations = ['duration', 'distance'],
+  concurrency = 4
+}, { tenant }) {
+  const limit = MATRIX_LIMITS[profile] || MATRIX_LIMITS.default;
+
+  // Small enough for a single request
+  if (coordinates.length <= limit) {
+    const data = await requestMatrix(coordinates, profile, sources, destinations, annotations, tenant);
+    return {
+      success: true,
+      durations: data.durations,
+      distances: data.distances,
+      sources: data.sources,
+      destinations: data.destinations,
+      code: data.code
+    };
+  }
+
+  // Split into source x destination blocks that each fit in one request
+  const sourceIndices = sources || coordinates.map((_, i) => i);
+  const destinationIndices = destinations || coordinates.map((_, i) => i);
+  const { sourceBlockSize, destinationBlockSize } = matrixBlockSizes(profile, sourceIndices.length, destinationIndices.length);
+
+  const chunk = (items, size) => Array.from(
+    { length: Math.ceil(items.length / size) }, (_, i) => ({ offset: i * size, items: items.slice(i * size, (i + 1) * size) }));
+
+  const blocks = [];
+  for (const sourceBlock of chunk(sourceIndices, sourceBlockSize)) {
+    for (const destinationBlock of chunk(destinationIndices, destinationBlockSize)) {
+      blocks.push({ sourceBlock, destinationBlock });
+    }
+  }
+
+  const emptyMatrix = () => sourceIndices.map(() => new Array(destinationIndices.length).fill(null));
+  const durations = annotations.includes('duration') ? emptyMatrix() : undefined;
+  const distances = annotations.includes('distance') ? emptyMatrix() : undefined;
+  const sourceWaypoints = new Array(sourceIndices.length).fill(null);
+  const destinationWaypoints = new Array(destinationIndices.length).fill(null);
+  const failedBlocks = [];
+
+  await mapWithConcurrency(blocks, concurrency, async ({ sourceBlock, destinationBlock }) => {
+    const blockCoordinates = [...sourceBlock.items, ...destinationBlock.items].map(i => coordinates[i]);
+    const blockSources = sourceBlock.items.map((_, i) => i);
+    const blockDestinations = destinationBlock.items.map((_, i) => sourceBlock.items.length + i);
+
+    try {
+      const data = await requestMatrix(blockCoordinates, profile, blockSources, blockDestinations, annotations, tenant);
+
+      sourceBlock.items.forEach((_, row) => {
+        const globalRow = sourceBlock.offset + row;
+        sourceWaypoints[globalRow] = data.sources?.[row] ?? sourceWaypoints[globalRow];
+        destinationBlock.items.forEach((_, col) => {
+          const globalCol = destinationBlock.offset + col;
+          if (durations) durations[globalRow][globalCol] = data.durations?.[row]?.[col] ?? null;
+          if (distances) distances[globalRow][globalCol] = data.distances?.[row]?.[col] ?? null;
+        });
+      });
+      destinationBlock.items.forEach((_, col) => {
+        const globalCol = destinationBlock.offset + col;
+        destinationWaypoints[globalCol] = data.destinations?.[col] ?? destinationWaypoints[globalCol];
+      });
+    } catch (error) {
+      console.error('Matrix block error:', error.message);
+      failedBlocks.push({
+        sources: sourceBlock.items,
+        destinations: destinationBlock.items,
+        error: error.message,
+        code: error.code
+      });
+    }
+  });
+
+  if (failedBlocks.length === blocks.length) {
+    throw new UpstreamError(`All ${blocks.length} matrix requests failed: ${failedBlocks[0].error}`, {
+      status: 502,
+      code: failedBlocks[0].code || 'UpstreamError'
+    });
+  }
+
+  const result = {
+    success: true,
+    durations,
+    distances,
+    sources: sourceWaypoints,
+    destinations: destinationWaypoints,
+    code: 'Ok',
+    blocks: blocks.length
+  };
+
+  // Cells of failed blocks are null; list the blocks so the caller can retry them
+  if (failedBlocks.length > 0) {
+    result.partial = true;
+    result.failed_blocks = failedBlocks;
+  }
+
+  return result;
+}
+
+// Isochrone API
+function validateIsochrone({ contours_minutes, contours_meters, contours_colors }) {
+  if (!contours_minutes && !contours_meters) {
+    throw new ValidationError([{ field: 'contours_minutes', message: 'is required unless contours_meters is given' }]);
+  }
+
+  if (contours_minutes && contours_meters) {
+    throw new ValidationError([{ field: 'contours_meters', message: 'cannot be combined with contours_minutes' }]);
+  }
+
+  const contours = contours_minutes || contours_meters;
+  if (contours_colors && contours_colors.length !== contours.length) {
+    throw new ValidationError([{
+      field: 'contours_colors',
+      message: `must have one color per contour (${contours.length})`
+    }]);
+  }
+}
+
+async function getIsochrone({
+  coordinates,
+  profile = 'driving',
+  contours_minutes,
+  contours_meters,
+  contours_colors,
+  polygons = true,
+  denoise = 1,
+  generalize
+}, { tenant }) {
+  const metric = contours_minutes ? 'minutes' : 'meters';
+  const contours = contours_minutes || contours_meters;
+
+  // The API requires contours in increasing order; keep colors paired with their contour
+  const order = contours.map((_, index) => index).sort((a, b) => contours[a] - contours[b]);
+
+  const params = new URLSearchParams({
+    [`contours_${metric}`]: order.map(i => contours[i]).join(','),
+    polygons: polygons.toString(),
+    denoise: denoise.toString()
+  });
+
+  if (contours_colors) {
+    params.append('contours_colors', order.map(i => contours_colors[i].replace(/^#/, '')).join(','));
+  }
+
+  if (generalize !== undefined) {
+    params.append('generalize', generalize.toString());
+  }
+
+  const url = `${MAPBOX_API_URL}/isochrone/v1/mapbox/${profile}/${coordinates.join(',')}?${params}`;
+
+  const response = await mapboxGet(url, { tenant });
+
+  const summary = response.data.features.map(feature => ({
+    contour: feature.properties.contour,
+    metric,
+    color: feature.properties.color,
+    area_km2: Math.round(geometryArea(feature.geometry) / 1e4) / 100
+  }));
+
+  return {
+    success: true,
+    geojson: {
+      type: 'FeatureCollection',
+      features: response.data.features
+    },
+    summary,
+    profile,
+    center: coordinates
+  };
+}
+
+// Map Matching API
+const MAX_MATCH_POINTS = 100;
+// Chunks of a long trace requested at the same time, to stay under the Mapbox rate limit
+const MATCH_CONCURRENCY = 4;
+
+function samePoint(a, b) {
+  return Math.abs(a[0] - b[0]) < 1e-6 && Math.abs(a[1] - b[1]) < 1e-6;
+}
+
+function validateMatchTrace({ coordinates, timestamps, radiuses }) {
+  for (const [field, values] of Object.entries({ timestamps, radiuses })) {
+    if (values && values.length !== coordinates.length) {
+      throw new ValidationError([{
+        field,
+        message: `must have one value per coordinate (${coordinates.length})`
+      }]);
+    }
+  }
+}
+
+async function matchTrace({ coordinates, timestamps, radiuses, profile = 'driving', tidy = false }, { tenant }) {
+
+  // Split into API-sized chunks that share their boundary point, so the pieces connect
+  const chunks = [];
+  for (let start = 0; start < coordinates.length - 1; start += MAX_MATCH_POINTS - 1) {
+    chunks.push({ start, end: Math.min(start + MAX_MATCH_POINTS, coordinates.length) });
+  }
+
+  const responses = await mapWithConcurrency(chunks, MATCH_CONCURRENCY, ({ start, end }) => {
+    const params = new URLSearchParams({
+      geometries: 'geojson',
+      overview: 'full',
+      tidy: tidy.toString()
+    });
+
+    if (timestamps) {
+      params.append('timestamps', timestamps.slice(start, end).join(';'));
+    }
+
+    if (radiuses) {
+      params.append('radiuses', radiuses.slice(start, end).join(';'));
+    }
+
+    const coordinateString = coordinates.slice(start, end).map(coord => coord.join(',')).join(';');
+    return mapboxGet(`${MAPBOX_API_URL}/matching/v5/mapbox/${profile}/${coordinateString}?${params}`, { tenant })
+      .catch(error => {
+        // A chunk that cannot be matched leaves its points unmatched instead of failing the trace
+        if (error.code === 'NoMatch' && chunks.length > 1) {
+          return { data: { matchings: [], tracepoints: new Array(end - start).fill(null) } };
+        }
+        throw error;
+      });
+  });
+
+  // Stitch matchings and tracepoints back together
+  const matchings = [];
+  const lines = [];
+  const tracepoints = [];
+
+  responses.forEach((response, chunkIndex) => {
+    const { matchings: chunkMatchings = [], tracepoints: chunkTracepoints = [] } = response.data;
+    const matchingOffset = matchings.length;
+
+    for (const matching of chunkMatchings) {
+      const line = matching.geometry.coordinates;
+      const previous = lines[lines.length - 1];
+
+      // Continue the previous line if this piece starts where it ended
+      if (previous && matching === chunkMatchings[0] && samePoint(previous[previous.length - 1], line[0])) {
+        previous.push(...line.slice(1));
+      } else {
+        lines.push([...line]);
+      }
+
+      matchings.push({
+        confidence: matching.confidence,
+        distance: matching.distance,
+        duration: matching.duration
+      });
+    }
+
+    // Skip the boundary point already reported by the previous chunk
+    const { start } = chunks[chunkIndex];
+    chunkTracepoints.forEach((tracepoint, index) => {
+      if (chunkIndex > 0 && index === 0) return;
+      tracepoints.push(tracepoint ? {
+        index: start + index,
+        matched: true,
+        location: tracepoint.location,
+        name: tracepoint.name,
+        matchings_index: tracepoint.matchings_index + matchingOffset
+      } : {
+        index: start + index,
+        matched: false
+      });
+    });
+  });
+
+  if (matchings.length === 0) {
+    throw new UpstreamError('No match found for the trace', { status: 404, code: 'NoMatch' });
+  }
+
+  const distance = matchings.reduce((sum, m) => sum + m.distance, 0);
+  const duration = matchings.reduce((sum, m) => sum + m.duration, 0);
+
+  // Distance-weighted confidence across all matched pieces
+  const confidence = distance > 0
+    ? matchings.reduce((sum, m) => sum + m.confidence * m.distance, 0) / distance
+    : matchings.reduce((sum, m) => sum + m.confidence, 0) / matchings.length;
+
+  return {
+    success: true,
+    geometry: lines.length === 1
+      ? { type: 'LineString', coordinates: lines[0] }
+      : { type: 'MultiLineString', coordinates: lines },
+    confidence,
+    distance,
+    duration,
+    matchings,
+    tracepoints,
+    unmatched_points: tracepoints.filter(t => !t.matched).length,
+    chunks: chunks.length
+  };
+}
+
+// Optimization API
+function validateOptimizeRoute({ coordinates, roundtrip = true, source = 'any', destination = 'any', distributions }) {
+  // One-way trips are only supported with a fixed start and end
+  if (!roundtrip && (source !== 'first' || destination !== 'last')) {
+    throw new ValidationError([{
+      field: 'roundtrip',
+      message: 'false requires source "first" and destination "last"'
+    }]);
+  }
+
+  const errors = [];
+  (distributions || []).forEach((pair, index) => {
+    if (pair.some(i => !Number.isInteger(i) || i < 0 || i >= coordinates.length)) {
+      errors.push({ field: `distributions[${index}]`, message: `indices must be integers between 0 and ${coordinates.length - 1}` });
+    } else if (pair[0] === pair[1]) {
+      errors.push({ field: `distributions[${index}]`, message: 'pickup and dropoff must be different coordinates' });
+    }
+  });
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
+async function optimizeRoute({
+  coordinates,
+  profile = 'driving',
+  roundtrip = true,
+  source = 'any',
+  destination = 'any',
+  distributions,
+  steps = false
+}, { tenant }) {
+
+  const coordinateString = coordinates.map(coord => coord.join(',')).join(';');
+  const params = new URLSearchParams({
+    geometries: 'geojson',
+    overview: 'full',
+    steps: steps.toString(),
+    roundtrip: roundtrip.toString(),
+    source,
+    destination
+  });
+
+  if (distributions && distributions.length > 0) {
+    params.append('distributions', distributions.map(pair => pair.join(',')).join(';'));
+  }
+
+  const url = `${MAPBOX_API_URL}/optimized-trips/v1/mapbox/${profile}/${coordinateString}?${params}`;
+
+  const response = await mapboxGet(url, { tenant });
+  const { trips = [], waypoints = [], code } = response.data;
+
+  // Input waypoints sorted into visiting order
+  const orderedWaypoints = waypoints
+    .map((waypoint, index) => ({
+      input_index: index,
+      trip_index: waypoint.waypoint_index,
+      location: waypoint.location,
+      name: waypoint.name
+    }))
+    .sort((a, b) => a.trip_index - b.trip_index);
+
+  const result = {
+    success: true,
+    routes: trips,
+    waypoints,
+    code,
+    ordered_waypoints: orderedWaypoints,
+    ordered_coordinates: orderedWaypoints.map(waypoint => coordinates[waypoint.input_index]),
+    roundtrip
+  };
+
+  // Add polyline data for map visualization
+  if (trips[0]) {
+    result.distance = trips[0].distance;
+    result.duration = trips[0].duration;
+    result.polyline = encodePolyline(trips[0].geometry.coordinates);
+  }
+
+  return result;
+}
+
+// Batch Geocoding
+const geocodeForwardSchema = tools.find(tool => tool.name === 'geocode_forward').inputSchema;
+
+async function geocodeBatch({ queries, concurrency = 5 }, { cache = true, tenant }) {
+  const results = await mapWithConcurrency(queries, concurrency, async (item, index) => {
+    try {
+      // Each query is validated here rather than by the batch schema, so an invalid one only
+      // fails its own result. It is cached like an individual geocode_forward call: with that
+      // tool's defaults applied, the cache key is the same as for the equivalent arguments
+      const args = validateArguments(geocodeForwardSchema, item);
+      const { results: matches } = await responseCache.wrap(
+        'geocode_forward', args, () => geocodeForward(args, { tenant }), { bypass: !cache, scope: tenant.id });
+      if (matches.length === 0) {
+        return { index, query: item.query, success: false, error: 'No results found' };
+      }
+      return { index, query: item.query, success: true, results: matches };
+    } catch (error) {
+      console.error(`Batch geocoding error for "${item.query}":`, error.message);
+      return {
+        index,
+        query: item.query,
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.errors && { errors: error.errors })
+      };
+    }
+  });
+
+  const succeeded = results.filter(r => r.success).length;
+
+  return {
+    success: true,
+    results,
+    total: results.length,
+    succeeded,
+    failed: results.length - succeeded
+  };
+}
+
+// Local geometry computations
+// Minimum number of coordinates each operation needs (polyline_decode takes a polyline instead)
+const GEO_MIN_POINTS = {
+  distance: 2,
+  bearing: 2,
+  midpoint: 2,
+  bbox: 1,
+  centroid: 1,
+  point_in_polygon: 1,
+  buffer: 1,
+  simplify: 2,
+  polyline_encode: 1
+};
+
+function validateGeoCompute({ operation, coordinates, polygon, radius, polyline, precision = 5 }) {
+  const minPoints = GEO_MIN_POINTS[operation];
+  const errors = [];
+
+  if (minPoints && !(operation === 'centroid' && polygon) && (!coordinates || coordinates.length < minPoints)) {
+    errors.push({ field: 'coordinates', message: `${operation} needs at least ${minPoints} point(s)` });
+  }
+  if (operation === 'point_in_polygon' && !polygon) {
+    errors.push({ field: 'polygon', message: 'is required for point_in_polygon' });
+  }
+  if (operation === 'buffer' && radius === undefined) {
+    errors.push({ field: 'radius', message: 'is required for buffer' });
+  }
+  if (operation === 'polyline_decode') {
+    if (!polyline) {
+      errors.push({ field: 'polyline', message: 'is required for polyline_decode' });
+    } else {
+      try {
+        decodePolyline(polyline, precision);
+      } catch (error) {
+        errors.push({ field: 'polyline', message: error.message });
+      }
+    }
+  }
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+}
+
+async function geoCompute({ operation, coordinates, polygon, radius, steps = 64, tolerance = 10, polyline, precision = 5 }) {
+
+  const result = { success: true, operation };
+
+  switch (operation) {
+    case 'distance': {
+      const segments = coordinates.slice(1).map((point, i) => haversineDistance(coordinates[i], point));
+      const total = segments.reduce((sum, d) => sum + d, 0);
+      result.distance_meters = total;
+      result.distance_km = total / 1000;
+      if (segments.length > 1) {
+        result.segments_meters = segments;
+      }
+      break;
+    }
+    case 'bearing': {
+      const degrees = bearing(coordinates[0], coordinates[1]);
+      result.bearing_degrees = degrees;
+      result.compass = compassDirection(degrees);
+      break;
+    }
+    case 'midpoint':
+      result.midpoint = midpoint(coordinates[0], coordinates[1]);
+      break;
+    case 'bbox':
+      result.bbox = boundingBox(coordinates);
+      break;
+    case 'centroid':
+      result.centroid = polygon ? polygonCentroid(polygon[0]) : pointsCentroid(coordinates);
+      break;
+    case 'point_in_polygon':
+      result.results = coordinates.map(point => ({ point, inside: pointInPolygon(point, polygon) }));
+      break;
+    case 'buffer': {
+      const rings = coordinates.map(point => circle(point, radius, steps));
+      result.geojson = rings.length === 1
+        ? { type: 'Polygon', coordinates: rings }
+        : { type: 'MultiPolygon', coordinates: rings.map(ring => [ring]) };
+      result.area_km2 = geometryArea(result.geojson) / 1e6;
+      break;
+    }
+    case 'simplify': {
+      const simplified = simplify(coordinates, tolerance);
+      result.coordinates = simplified;
+      result.original_points = coordinates.length;
+      result.simplified_points = simplified.length;
+      break;
+    }
+    case 'polyline_encode':
+      result.polyline = encodePolyline(coordinates, precision);
+      break;
+    case 'polyline_decode':
+      result.coordinates = decodePolyline(polyline, precision);
+      break;
+  }
+
+  return result;
+}
+
+// Tool name -> implementation
+export const toolHandlers = {
+  geocode_forward: geocodeForward,
+  geocode_reverse: geocodeReverse,
+  get_directions: getDirections,
+  get_static_image: getStaticImage,
+  get_route_map: getRouteMap,
+  get_matrix: getMatrix,
+  get_isochrone: getIsochrone,
+  match_trace: matchTrace,
+  optimize_route: optimizeRoute,
+  geocode_batch: geocodeBatch,
+  geo_compute: geoCompute
+};
+
+// Tool name -> argument checks beyond the inputSchema, called with the arguments and { tenant };
+// they throw ValidationError (or another 400 ToolError) and never call Mapbox
+const argumentValidators = {
+  get_directions: validateDirections,
+  get_static_image: validateStaticImage,
+  get_route_map: validateRouteMap,
+  get_matrix: validateMatrix,
+  get_isochrone: validateIsochrone,
+  match_trace: validateMatchTrace,
+  optimize_route: validateOptimizeRoute,
+  geo_compute: validateGeoCompute
+};
+
+const toolCalls = registry.counter(
+  'mapbox_mcp_tool_calls_total', 'Tool calls by tenant, tool and outcome (success, cached or error)', ['tenant', 'tool', 'outcome']);
+const toolErrors = registry.counter(
+  'mapbox_mcp_tool_errors_total', 'Failed tool calls by error code and Mapbox HTTP status (none if Mapbox was not involved)',
+  ['tool', 'code', 'upstream_status']);
+const toolDuration = registry.histogram(
+  'mapbox_mcp_tool_duration_seconds', 'Tool call latency, including validation and cache lookups', ['tool']);
+
+// Tenants limited to some routing profiles default to the first of them the tool supports,
+// rather than the schema default, so calls that leave out profile are not refused
+function withTenantProfile(tool, args, tenant) {
+  const profileSchema = tool.inputSchema.properties?.profile;
+  if (!profileSchema || !tenant.profiles || typeof args !== 'object' || args === null || args.profile !== undefined) {
+    return args;
+  }
+
+  const profile = tenant.profiles.find(name => !profileSchema.enum || profileSchema.enum.includes(name));
+  return profile ? { ...args, profile } : args;
+}
+
+// Validate arguments against the tool's inputSchema (applying defaults) and the tool's
+// argumentValidators entry, then run it for a tenant
+// (the default tenant unless given). Results of cacheable tools are served from the tenant's
+// part of the response cache unless cache is false. charge, when given, is called once the call
+// is valid and about to run (e.g. to count it against an API key's quota); it throws to refuse it.
+// With imageProxy false, map tools return the image inline instead of an /static-images URL.
+export async function callTool(name, args, { cache = true, tenant = tenants.resolve(), charge, imageProxy = true } = {}) {
+  const tool = tools.find(t => t.name === name);
+  if (!tool) {
+    throw new ToolError(`Unknown tool: ${name}`, { status: 404, code: 'UnknownTool' });
+  }
+
+  const stopTimer = toolDuration.startTimer({ tool: name });
+  try {
+    const validArgs = validateArguments(tool.inputSchema, withTenantProfile(tool, args, tenant));
+    argumentValidators[name]?.(validArgs, { tenant });
+
+    if (validArgs.profile && tenant.profiles && !tenant.profiles.includes(validArgs.profile)) {
+      throw new ToolError(`Profile "${validArgs.profile}" is not enabled for tenant "${tenant.id}"`, {
+        status: 403,
+        code: 'ProfileNotAllowed'
+      });
+    }
+
+    charge?.();
+
+    const result = await responseCache.wrap(
+      name, validArgs, () => toolHandlers[name](validArgs, { cache, tenant, imageProxy }), { bypass: !cache, scope: tenant.id });
+
+    tenants.recordToolCall(tenant, name);
+    toolCalls.inc({ tenant: tenant.id, tool: name, outcome: result.cached ? 'cached' : 'success' });
+    return result;
+  } catch (error) {
+    // Calls refused by charge never ran
+    if (!(error instanceof AuthError)) {
+      tenants.recordToolCall(tenant, name, { error: true });
+      toolCalls.inc({ tenant: tenant.id, tool: name, outcome: 'error' });
+      toolErrors.inc({ tool: name, code: error.code || 'InternalError', upstream_status: error.upstreamStatus ?? 'none' });
+    }
+    throw error;
+  } finally {
+    stopTimer();
+  }
+}
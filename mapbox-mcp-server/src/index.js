@@ -2,14 +2,26 @@ import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import rateLimit from 'express-rate-limit';
-import axios from 'axios';
+import { tools } from './tools.js';
+import { callTool } from './handlers.js';
+import { ValidationError } from './validation.js';
+import { ToolError } from './errors.js';
+import { apiKeys, requireApiKey } from './auth.js';
+import { tenants } from './tenants.js';
+import { responseCache } from './cache.js';
+import { fetchStaticImage, startStaticImagePruning, PUBLIC_BASE_URL } from './static-images.js';
+import { buildOpenApiSpec, openAiTools } from './openapi.js';
+import { registry, CONTENT_TYPE } from '../../shared/metrics.js';
+import { handleMcpHttpRequest, startStdioServer } from './mcp.js';
+import { mapboxUpstream } from './mapbox.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const MAPBOX_ACCESS_TOKEN = process.env.MAPBOX_ACCESS_TOKEN;
 
-if (!MAPBOX_ACCESS_TOKEN) {
-  console.error('MAPBOX_ACCESS_TOKEN environment variable is required');
+// Replayed fixtures need no token; with TENANTS_FILE each tenant brings its own
+if (!MAPBOX_ACCESS_TOKEN && !process.env.TENANTS_FILE && mapboxUpstream.mode !== 'replay') {
+  console.error('MAPBOX_ACCESS_TOKEN (or TENANTS_FILE) environment variable is required');
   process.exit(1);
 }
 
@@ -18,594 +30,191 @@ app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
-// Rate limiting
-const limiter = rateLimit({
+// Rate limiting of failed authentication attempts per IP; per-key limits are in auth.js
+const authFailureLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  max: 100, // limit each IP to 100 rejected requests per windowMs
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.statusCode !== 401,
+  message: { success: false, error: 'Too many failed authentication attempts, please try again later.', code: 'RateLimited' }
 });
-app.use('/api/', limiter);
 
-// MCP Tools definitions
-const tools = [
-  {
-    name: 'geocode_forward',
-    description: 'Convert an address or place name into geographic coordinates (latitude, longitude)',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        query: {
-          type: 'string',
-          description: 'The address or place name to geocode'
-        },
-        limit: {
-          type: 'number',
-          description: 'Maximum number of results to return (1-10)',
-          minimum: 1,
-          maximum: 10,
-          default: 5
-        },
-        country: {
-          type: 'string',
-          description: 'ISO 3166-1 alpha-2 country code to limit results'
-        }
-      },
-      required: ['query']
-    }
-  },
-  {
-    name: 'geocode_reverse',
-    description: 'Convert geographic coordinates into a human-readable address',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        longitude: {
-          type: 'number',
-          description: 'Longitude coordinate',
-          minimum: -180,
-          maximum: 180
-        },
-        latitude: {
-          type: 'number',
-          description: 'Latitude coordinate',
-          minimum: -90,
-          maximum: 90
-        },
-        types: {
-          type: 'array',
-          items: { type: 'string' },
-          description: 'Filter results by feature types'
-        }
-      },
-      required: ['longitude', 'latitude']
-    }
-  },
-  {
-    name: 'get_directions',
-    description: 'Get directions between multiple waypoints',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        coordinates: {
-          type: 'array',
-          items: {
-            type: 'array',
-            items: { type: 'number' },
-            minItems: 2,
-            maxItems: 2
-          },
-          minItems: 2,
-          description: 'Array of [longitude, latitude] coordinate pairs'
-        },
-        profile: {
-          type: 'string',
-          enum: ['driving', 'walking', 'cycling', 'driving-traffic'],
-          default: 'driving',
-          description: 'Routing profile'
-        },
-        geometries: {
-          type: 'string',
-          enum: ['geojson', 'polyline', 'polyline6'],
-          default: 'geojson',
-          description: 'Response geometry format'
-        },
-        steps: {
-          type: 'boolean',
-          default: true,
-          description: 'Include turn-by-turn instructions'
-        },
-        overview: {
-          type: 'string',
-          enum: ['full', 'simplified', 'false'],
-          default: 'full',
-          description: 'Type of route geometry overview'
-        }
-      },
-      required: ['coordinates']
-    }
-  },
-  {
-    name: 'get_static_image',
-    description: 'Generate a static map image with optional markers and overlays',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        style: {
-          type: 'string',
-          default: 'mapbox/streets-v12',
-          description: 'Map style ID'
-        },
-        width: {
-          type: 'number',
-          minimum: 1,
-          maximum: 1280,
-          default: 600,
-          description: 'Image width in pixels'
-        },
-        height: {
-          type: 'number',
-          minimum: 1,
-          maximum: 1280,
-          default: 400,
-          description: 'Image height in pixels'
-        },
-        zoom: {
-          type: 'number',
-          minimum: 0,
-          maximum: 22,
-          description: 'Zoom level (required if no bbox)'
-        },
-        center: {
-          type: 'array',
-          items: { type: 'number' },
-          minItems: 2,
-          maxItems: 2,
-          description: '[longitude, latitude] center point (required if no bbox)'
-        },
-        bbox: {
-          type: 'array',
-          items: { type: 'number' },
-          minItems: 4,
-          maxItems: 4,
-          description: 'Bounding box [minLon, minLat, maxLon, maxLat]'
-        },
-        markers: {
-          type: 'array',
-          items: {
-            type: 'object',
-            properties: {
-              longitude: { type: 'number' },
-              latitude: { type: 'number' },
-              size: { type: 'string', enum: ['small', 'large'], default: 'small' },
-              color: { type: 'string', default: 'red' },
-              label: { type: 'string' }
-            },
-            required: ['longitude', 'latitude']
-          },
-          description: 'Array of markers to place on the map'
-        }
-      }
-    }
-  },
-  {
-    name: 'get_route_map',
-    description: 'Generate a static map image showing a route with start and end markers',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        coordinates: {
-          type: 'array',
-          items: {
-            type: 'array',
-            items: { type: 'number' },
-            minItems: 2,
-            maxItems: 2
-          },
-          minItems: 2,
-          description: 'Array of [longitude, latitude] coordinate pairs for the route'
-        },
-        style: {
-          type: 'string',
-          default: 'mapbox/streets-v12',
-          description: 'Map style ID'
-        },
-        width: {
-          type: 'number',
-          minimum: 1,
-          maximum: 1280,
-          default: 800,
-          description: 'Image width in pixels'
-        },
-        height: {
-          type: 'number',
-          minimum: 1,
-          maximum: 1280,
-          default: 600,
-          description: 'Image height in pixels'
-        },
-        route_polyline: {
-          type: 'string',
-          description: 'Encoded polyline string from directions API (optional, for route overlay)'
-        }
-      },
-      required: ['coordinates']
-    }
-  },
-  {
-    name: 'get_matrix',
-    description: 'Calculate travel times and distances between multiple points',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        coordinates: {
-          type: 'array',
-          items: {
-            type: 'array',
-            items: { type: 'number' },
-            minItems: 2,
-            maxItems: 2
-          },
-          minItems: 2,
-          maxItems: 25,
-          description: 'Array of [longitude, latitude] coordinate pairs'
-        },
-        profile: {
-          type: 'string',
-          enum: ['driving', 'walking', 'cycling', 'driving-traffic'],
-          default: 'driving',
-          description: 'Routing profile'
-        },
-        sources: {
-          type: 'array',
-          items: { type: 'number' },
-          description: 'Indices of coordinates to use as sources (default: all)'
-        },
-        destinations: {
-          type: 'array',
-          items: { type: 'number' },
-          description: 'Indices of coordinates to use as destinations (default: all)'
-        },
-        annotations: {
-          type: 'array',
-          items: { type: 'string', enum: ['duration', 'distance', 'speed'] },
-          default: ['duration', 'distance'],
-          description: 'Annotations to include in response'
-        }
-      },
-      required: ['coordinates']
-    }
+// API key authentication (a no-op unless API_KEYS_FILE is set)
+const authenticate = [authFailureLimiter, requireApiKey(apiKeys)];
+const authenticateAdmin = [authFailureLimiter, requireApiKey(apiKeys, { admin: true })];
+
+// Tenant for the request: the API key's tenant, the X-Tenant header or the default tenant
+function selectTenant(req, res, next) {
+  try {
+    req.tenant = tenants.resolve({ apiKey: req.apiKey, requested: req.get('X-Tenant') });
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ success: false, error: error.message, code: error.code });
   }
-];
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    service: 'mapbox-mcp-server'
+    service: 'mapbox-mcp-server',
+    upstream_mode: mapboxUpstream.mode
   });
 });
 
-// Get available tools
+// Get available tools (?format=openai for OpenAI function-calling definitions)
 app.get('/tools', (req, res) => {
+  if (req.query.format === 'openai') {
+    return res.json({ tools: openAiTools(tools) });
+  }
   res.json({ tools });
 });
 
-// Forward Geocoding
-app.post('/geocode_forward', async (req, res) => {
-  try {
-    const { query, limit = 5, country } = req.body.arguments || req.body;
-    
-    let url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json`;
-    const params = new URLSearchParams({
-      access_token: MAPBOX_ACCESS_TOKEN,
-      limit: limit.toString()
-    });
-    
-    if (country) {
-      params.append('country', country);
-    }
-    
-    url += `?${params}`;
-    
-    const response = await axios.get(url);
-    
-    const results = response.data.features.map(feature => ({
-      place_name: feature.place_name,
-      center: feature.center,
-      place_type: feature.place_type,
-      relevance: feature.relevance,
-      properties: feature.properties,
-      context: feature.context
-    }));
-    
-    res.json({
-      success: true,
-      results,
-      total: results.length
-    });
-  } catch (error) {
-    console.error('Geocoding error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.response?.data?.message || error.message
-    });
-  }
+// OpenAPI document for the REST routes, generated from the tools array
+app.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiSpec(tools, { serverUrl: PUBLIC_BASE_URL, authEnabled: apiKeys.enabled }));
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.type(CONTENT_TYPE).send(registry.render());
 });
 
-// Reverse Geocoding
-app.post('/geocode_reverse', async (req, res) => {
+// Response cache statistics
+app.get('/cache/stats', authenticate, async (req, res) => {
   try {
-    const { longitude, latitude, types } = req.body.arguments || req.body;
-    
-    let url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${longitude},${latitude}.json`;
-    const params = new URLSearchParams({
-      access_token: MAPBOX_ACCESS_TOKEN
-    });
-    
-    if (types && types.length > 0) {
-      params.append('types', types.join(','));
-    }
-    
-    url += `?${params}`;
-    
-    const response = await axios.get(url);
-    
-    const results = response.data.features.map(feature => ({
-      place_name: feature.place_name,
-      center: feature.center,
-      place_type: feature.place_type,
-      relevance: feature.relevance,
-      properties: feature.properties,
-      context: feature.context
-    }));
-    
-    res.json({
-      success: true,
-      results,
-      total: results.length
-    });
+    res.json(await responseCache.stats());
   } catch (error) {
-    console.error('Reverse geocoding error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.response?.data?.message || error.message
-    });
+    console.error('Cache stats error:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Directions
-app.post('/get_directions', async (req, res) => {
+// Purge the response cache, or only one tool's entries with ?tool=<name> (admin keys only)
+app.delete('/cache', authenticateAdmin, async (req, res) => {
   try {
-    const { coordinates, profile = 'driving', geometries = 'geojson', steps = true, overview = 'full' } = req.body.arguments || req.body;
-    
-    const coordinateString = coordinates.map(coord => coord.join(',')).join(';');
-    
-    // Get both geojson and polyline formats for different use cases
-    const geojsonUrl = `https://api.mapbox.com/directions/v5/mapbox/${profile}/${coordinateString}?` + 
-      new URLSearchParams({
-        access_token: MAPBOX_ACCESS_TOKEN,
-        geometries: 'geojson',
-        steps: steps.toString(),
-        overview
-      });
-    
-    const polylineUrl = `https://api.mapbox.com/directions/v5/mapbox/${profile}/${coordinateString}?` + 
-      new URLSearchParams({
-        access_token: MAPBOX_ACCESS_TOKEN,
-        geometries: 'polyline',
-        steps: 'false',
-        overview: 'full'
-      });
-    
-    const [geojsonResponse, polylineResponse] = await Promise.all([
-      axios.get(geojsonUrl),
-      axios.get(polylineUrl)
-    ]);
-    
-    const result = {
-      success: true,
-      routes: geojsonResponse.data.routes,
-      waypoints: geojsonResponse.data.waypoints,
-      code: geojsonResponse.data.code
-    };
-    
-    // Add polyline data for map visualization
-    if (polylineResponse.data.routes && polylineResponse.data.routes[0]) {
-      result.polyline = polylineResponse.data.routes[0].geometry;
-    }
-    
-    res.json(result);
+    const purged = await responseCache.purge(req.query.tool);
+    res.json({ success: true, purged });
   } catch (error) {
-    console.error('Directions error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.response?.data?.message || error.message
-    });
+    console.error('Cache purge error:', error.message);
+    res.status(500).json({ success: false, error: error.message });
   }
 });
 
-// Static Images
-app.post('/get_static_image', async (req, res) => {
+// Tenants with their settings and usage (tokens are never returned)
+app.get('/tenants', authenticateAdmin, (req, res) => {
+  res.json(tenants.describe());
+});
+
+// Re-read TENANTS_FILE, e.g. after rotating a token; the old configuration stays on failure
+app.post('/tenants/reload', authenticateAdmin, (req, res) => {
   try {
-    const { 
-      style = 'mapbox/streets-v12', 
-      width = 600, 
-      height = 400, 
-      zoom, 
-      center, 
-      bbox, 
-      markers = [] 
-    } = req.body.arguments || req.body;
-    
-    let url = `https://api.mapbox.com/styles/v1/${style}/static`;
-    
-    // Add markers if provided
-    if (markers.length > 0) {
-      const markerString = markers.map(marker => {
-        let markerStr = `pin-${marker.size || 'small'}`;
-        if (marker.label) markerStr += `-${marker.label}`;
-        markerStr += `+${marker.color || 'red'}(${marker.longitude},${marker.latitude})`;
-        return markerStr;
-      }).join(',');
-      url += `/${markerString}`;
-    }
-    
-    // Add geometry (center/zoom or bbox)
-    if (bbox) {
-      url += `/[${bbox.join(',')}]`;
-    } else if (center && zoom !== undefined) {
-      url += `/${center.join(',')},${zoom}`;
-    }
-    
-    url += `/${width}x${height}`;
-    
-    const params = new URLSearchParams({
-      access_token: MAPBOX_ACCESS_TOKEN
-    });
-    
-    url += `?${params}`;
-    
-    res.json({
-      success: true,
-      image_url: url,
-      width,
-      height
-    });
+    const count = tenants.load();
+    res.json({ success: true, tenants: count });
   } catch (error) {
-    console.error('Static image error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.message
-    });
+    console.error('Tenant reload error:', error.message);
+    res.status(500).json({ success: false, error: error.message, code: 'ReloadFailed' });
   }
 });
 
-// Route Map
-app.post('/get_route_map', async (req, res) => {
+// Static image proxy: fetches the map from Mapbox server-side so the token stays here
+app.get('/static-images/:id.png', async (req, res) => {
   try {
-    const { 
-      coordinates,
-      style = 'mapbox/streets-v12', 
-      width = 800, 
-      height = 600,
-      route_polyline
-    } = req.body.arguments || req.body;
-    
-    let url = `https://api.mapbox.com/styles/v1/${style}/static`;
-    
-    // Create start and end markers
-    const startCoord = coordinates[0];
-    const endCoord = coordinates[coordinates.length - 1];
-    
-    const markers = [
-      `pin-s-a+00ff00(${startCoord[0]},${startCoord[1]})`,
-      `pin-s-b+ff0000(${endCoord[0]},${endCoord[1]})`
-    ];
-    
-    // Add route polyline if provided
-    if (route_polyline) {
-      // Use proper path syntax: path-{stroke width}+{color}-{opacity}({polyline})
-      const pathOverlay = `path-5+0080ff-0.75(${encodeURIComponent(route_polyline)})`;
-      url += `/${pathOverlay},${markers.join(',')}`;
-    } else {
-      url += `/${markers.join(',')}`;
+    const image = await fetchStaticImage(req.params.id);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found, generate the map again',
+        code: 'NotFound'
+      });
     }
-    
-    // Calculate bounding box from coordinates with padding
-    const lons = coordinates.map(coord => coord[0]);
-    const lats = coordinates.map(coord => coord[1]);
-    const minLon = Math.min(...lons);
-    const maxLon = Math.max(...lons);
-    const minLat = Math.min(...lats);
-    const maxLat = Math.max(...lats);
-    
-    // Add 10% padding
-    const lonPadding = (maxLon - minLon) * 0.1;
-    const latPadding = (maxLat - minLat) * 0.1;
-    
-    const bbox = [
-      minLon - lonPadding,
-      minLat - latPadding,
-      maxLon + lonPadding,
-      maxLat + latPadding
-    ];
-    
-    url += `/[${bbox.join(',')}]`;
-    url += `/${width}x${height}`;
-    
-    const params = new URLSearchParams({
-      access_token: MAPBOX_ACCESS_TOKEN
-    });
-    
-    url += `?${params}`;
-    
-    res.json({
-      success: true,
-      image_url: url,
-      width,
-      height,
-      start_coordinates: startCoord,
-      end_coordinates: endCoord,
-      bounding_box: bbox
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': `public, max-age=${image.maxAge}, immutable`,
+      'ETag': `"${req.params.id}"`,
+      // Allow the chat UI (a different origin) to embed the image
+      'Cross-Origin-Resource-Policy': 'cross-origin'
     });
+    res.send(image.data);
   } catch (error) {
-    console.error('Route map error:', error.message);
-    res.status(500).json({
+    console.error('Static image proxy error:', error.message);
+    res.status(error instanceof ToolError ? error.status : 500).json({
       success: false,
-      error: error.message
+      error: error.message,
+      code: error instanceof ToolError ? error.code : 'InternalError'
     });
   }
 });
 
-// Matrix API
-app.post('/get_matrix', async (req, res) => {
-  try {
-    const { 
-      coordinates, 
-      profile = 'driving', 
-      sources, 
-      destinations, 
-      annotations = ['duration', 'distance'] 
-    } = req.body.arguments || req.body;
-    
-    const coordinateString = coordinates.map(coord => coord.join(',')).join(';');
-    let url = `https://api.mapbox.com/directions-matrix/v1/mapbox/${profile}/${coordinateString}`;
-    
-    const params = new URLSearchParams({
-      access_token: MAPBOX_ACCESS_TOKEN,
-      annotations: annotations.join(',')
-    });
-    
-    if (sources) {
-      params.append('sources', sources.join(';'));
-    }
-    
-    if (destinations) {
-      params.append('destinations', destinations.join(';'));
+// REST routes: POST /<tool_name> for each tool
+for (const tool of tools) {
+  app.post(`/${tool.name}`, authenticate, selectTenant, async (req, res) => {
+    try {
+      if (req.apiKey) {
+        apiKeys.checkToolAllowed(req.apiKey, tool.name);
+      }
+
+      // Opt out of the response cache with "cache": false or Cache-Control: no-cache
+      const cache = req.body.cache !== false && !/no-cache/i.test(req.get('Cache-Control') || '');
+      const result = await callTool(tool.name, req.body.arguments || req.body, {
+        cache,
+        tenant: req.tenant,
+        charge: req.apiKey && (() => apiKeys.chargeToolCall(req.apiKey))
+      });
+      res.json(result);
+    } catch (error) {
+      console.error(`${tool.name} error:`, error.message);
+      const body = {
+        success: false,
+        error: error.message,
+        code: error instanceof ToolError ? error.code : 'InternalError'
+      };
+      if (error instanceof ValidationError) {
+        body.errors = error.errors;
+      }
+      if (error.retryAfter !== undefined) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      res.status(error instanceof ToolError ? error.status : 500).json(body);
     }
-    
-    url += `?${params}`;
-    
-    const response = await axios.get(url);
-    
-    res.json({
-      success: true,
-      durations: response.data.durations,
-      distances: response.data.distances,
-      sources: response.data.sources,
-      destinations: response.data.destinations,
-      code: response.data.code
-    });
+  });
+}
+
+// MCP over Streamable HTTP
+app.post('/mcp', authenticate, selectTenant, async (req, res) => {
+  try {
+    await handleMcpHttpRequest(req, res);
   } catch (error) {
-    console.error('Matrix error:', error.message);
-    res.status(500).json({
-      success: false,
-      error: error.response?.data?.message || error.message
-    });
+    console.error('MCP request error:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({
+        jsonrpc: '2.0',
+        error: { code: -32603, message: 'Internal server error' },
+        id: null
+      });
+    }
   }
 });
 
+// Stateless server: no SSE stream to open and no session to delete
+app.get('/mcp', (req, res) => {
+  res.status(405).set('Allow', 'POST').json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Method not allowed.' },
+    id: null
+  });
+});
+
+app.delete('/mcp', (req, res) => {
+  res.status(405).set('Allow', 'POST').json({
+    jsonrpc: '2.0',
+    error: { code: -32000, message: 'Method not allowed.' },
+    id: null
+  });
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
@@ -617,8 +226,32 @@ app.use((req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Mapbox MCP server running on port ${PORT}`);
-  console.log(`Health check available at: http://localhost:${PORT}/health`);
-});
\ No newline at end of file
+// Reload tenants (tokens, styles, profiles) without a restart: kill -HUP <pid>
+process.on('SIGHUP', () => {
+  try {
+    console.error(`Reloaded ${tenants.load()} tenants`);
+  } catch (error) {
+    console.error('Tenant reload error, keeping the previous configuration:', error.message);
+  }
+});
+
+// Start server: stdio for MCP clients that spawn the process, HTTP otherwise
+if (process.argv.includes('--stdio') || process.env.MCP_TRANSPORT === 'stdio') {
+  startStdioServer().catch(error => {
+    console.error('Failed to start stdio server:', error);
+    process.exit(1);
+  });
+} else {
+  startStaticImagePruning();
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Mapbox MCP server running on port ${PORT}`);
+    console.log(`Health check available at: http://localhost:${PORT}/health`);
+    console.log(`MCP endpoint available at: http://localhost:${PORT}/mcp`);
+    console.log(`Mapbox upstream mode: ${mapboxUpstream.mode}`);
+    if (apiKeys.enabled) {
+      console.log(`API key authentication enabled (${apiKeys.keys.length} keys)`);
+    } else {
+      console.warn('API key authentication disabled: set API_KEYS_FILE to protect the tool routes');
+    }
+  });
+}
\ No newline at end of file
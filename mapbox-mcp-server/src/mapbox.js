@@ -0,0 +1,154 @@
+import axios from 'axios';
+import { UpstreamError } from './errors.js';
+import { Upstream, FixtureMissError } from '../../shared/upstream.js';
+import { registry } from '../../shared/metrics.js';
+
+// Base URL of the Mapbox APIs; point it at a local stand-in server to run without Mapbox
+export const MAPBOX_API_URL = (process.env.MAPBOX_API_URL || 'https://api.mapbox.com').replace(/\/+$/, '');
+
+// live, record or replay (see shared/upstream.js); fixtures never contain access tokens
+// (tenants.js registers every tenant's token as a secret)
+export const mapboxUpstream = new Upstream({
+  name: 'mapbox',
+  mode: process.env.UPSTREAM_MODE || 'live',
+  fixturesDir: process.env.FIXTURES_DIR || 'fixtures',
+  transport: config => axios.request(config)
+});
+
+const TIMEOUT_MS = Number(process.env.MAPBOX_TIMEOUT_MS) || 10000;
+const MAX_RETRIES = process.env.MAPBOX_MAX_RETRIES !== undefined ? Number(process.env.MAPBOX_MAX_RETRIES) : 3;
+const BASE_DELAY_MS = 250;
+const MAX_DELAY_MS = 10000;
+// Time for all attempts of one request together, kept below the HTTP bridge's tool call
+// timeout so callers get the mapped Mapbox error rather than their own timeout
+const RETRY_BUDGET_MS = Number(process.env.MAPBOX_RETRY_BUDGET_MS) || 12000;
+
+const upstreamRequests = registry.counter(
+  'mapbox_mcp_upstream_requests_total', 'Mapbox API requests (each retry counts) by tenant, endpoint and HTTP status',
+  ['tenant', 'endpoint', 'status']);
+const upstreamDuration = registry.histogram(
+  'mapbox_mcp_upstream_duration_seconds', 'Mapbox API request latency by endpoint', ['endpoint']);
+
+// Metric label for a Mapbox URL, e.g. directions/v5, styles/v1 or search/searchbox/v1
+function endpointName(url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  return segments.slice(0, segments[0] === 'search' ? 3 : 2).join('/');
+}
+
+// Mapbox response codes that mean "valid request, nothing found"
+const NOT_FOUND_CODES = ['NoRoute', 'NoSegment', 'NoMatch', 'NoTrips'];
+
+// Stable error code for an HTTP status when Mapbox does not send one
+function codeForStatus(status) {
+  switch (status) {
+    case 401: return 'InvalidToken';
+    case 403: return 'Forbidden';
+    case 404: return 'NotFound';
+    case 422: return 'InvalidInput';
+    case 429: return 'RateLimited';
+    default: return status >= 500 ? 'UpstreamError' : 'InvalidInput';
+  }
+}
+
+// Convert an axios error into an UpstreamError with a meaningful status for our clients
+function toUpstreamError(error, timeout) {
+  if (error instanceof FixtureMissError) {
+    return new UpstreamError(error.message, { status: 502, code: error.code });
+  }
+
+  if (error.response) {
+    const { status, data } = error.response;
+    const message = data?.message || `Mapbox API responded with status ${status}`;
+    return new UpstreamError(message, {
+      // Mapbox 5xx means the upstream failed, not this server
+      status: status >= 500 ? 502 : status,
+      code: typeof data?.code === 'string' ? data.code : codeForStatus(status),
+      upstreamStatus: status
+    });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new UpstreamError(`Mapbox API did not respond within ${timeout}ms`, {
+      status: 504,
+      code: 'Timeout'
+    });
+  }
+
+  return new UpstreamError(`Could not reach Mapbox API: ${error.message}`, {
+    status: 502,
+    code: 'UpstreamUnavailable'
+  });
+}
+
+function isRetryable(error) {
+  return error.upstreamStatus === 429 || error.upstreamStatus >= 500 ||
+    error.code === 'Timeout' || error.code === 'UpstreamUnavailable';
+}
+
+// Delay before the next attempt: Retry-After when Mapbox sends one, else exponential backoff with jitter
+function retryDelay(attempt, retryAfter) {
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+    if (Number.isFinite(delay)) {
+      return Math.min(Math.max(delay, 0), MAX_DELAY_MS);
+    }
+  }
+
+  const backoff = BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(backoff + Math.random() * backoff, MAX_DELAY_MS);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// GET a Mapbox API URL with the tenant's access token and a timeout, retrying rate-limited
+// and transient failures within RETRY_BUDGET_MS. Throws an UpstreamError; responses with a
+// non-"Ok" code (e.g. NoRoute) are errors too.
+export async function mapboxGet(url, { tenant, ...options }) {
+  const endpoint = endpointName(url);
+  const separator = url.endsWith('?') ? '' : url.includes('?') ? '&' : '?';
+  const requestUrl = `${url}${separator}${new URLSearchParams({ access_token: tenant.token || '' })}`;
+  const deadline = Date.now() + RETRY_BUDGET_MS;
+
+  for (let attempt = 0; ; attempt++) {
+    const stopTimer = upstreamDuration.startTimer({ endpoint });
+    // The last attempt only gets the time left in the budget
+    const timeout = Math.max(Math.min(TIMEOUT_MS, deadline - Date.now()), 1);
+    try {
+      tenant.usage.mapbox_requests++;
+      const response = await mapboxUpstream.request({ method: 'get', url: requestUrl, timeout, ...options });
+      stopTimer();
+      upstreamRequests.inc({ tenant: tenant.id, endpoint, status: response.status });
+      const code = response.data?.code;
+
+      if (typeof code === 'string' && code !== 'Ok') {
+        throw new UpstreamError(response.data.message || code, {
+          status: NOT_FOUND_CODES.includes(code) ? 404 : 422,
+          code,
+          upstreamStatus: response.status
+        });
+      }
+
+      return response;
+    } catch (caught) {
+      const error = caught instanceof UpstreamError ? caught : toUpstreamError(caught, timeout);
+      // UpstreamErrors come from "Ok"-less responses that were already counted
+      if (!(caught instanceof UpstreamError)) {
+        stopTimer();
+        upstreamRequests.inc({ tenant: tenant.id, endpoint, status: error.upstreamStatus ?? error.code });
+      }
+
+      if (attempt >= MAX_RETRIES || !isRetryable(error)) {
+        throw error;
+      }
+
+      const delay = retryDelay(attempt, caught.response?.headers?.['retry-after']);
+      // No time left for another attempt: report this failure instead of running out the caller's timeout
+      if (Date.now() + delay >= deadline) {
+        throw error;
+      }
+      console.error(`Mapbox request failed (${error.code}), retrying in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
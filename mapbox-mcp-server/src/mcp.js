@@ -0,0 +1,96 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import {
+  CallToolRequestSchema,
+  ListToolsRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { tools } from './tools.js';
+import { callTool } from './handlers.js';
+import { apiKeys } from './auth.js';
+import { tenants } from './tenants.js';
+
+// Create an MCP server exposing the same tools as the REST routes.
+// apiKey is the authenticated key of an HTTP request; stdio runs locally and has none.
+// resolveTenant returns the tenant (Mapbox token and defaults) for a tool call; it is called
+// for every call, so a long-lived server picks up tenant reloads.
+// imageProxy false returns map images inline, for transports without the HTTP image proxy.
+export function createMcpServer({ apiKey, resolveTenant = () => tenants.resolve(), imageProxy = true } = {}) {
+  const server = new Server(
+    { name: 'mapbox-mcp-server', version: '1.0.0' },
+    { capabilities: { tools: {} } }
+  );
+
+  // Only list the tools the key may call
+  server.setRequestHandler(ListToolsRequestSchema, async () => ({
+    tools: apiKey ? tools.filter(tool => apiKeys.isToolAllowed(apiKey, tool.name)) : tools
+  }));
+
+  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+    const { name, arguments: args = {}, _meta } = request.params;
+
+    try {
+      if (apiKey) {
+        apiKeys.checkToolAllowed(apiKey, name);
+      }
+
+      const result = await callTool(name, args, {
+        cache: _meta?.cache !== false,
+        tenant: resolveTenant(),
+        imageProxy,
+        charge: apiKey && (() => apiKeys.chargeToolCall(apiKey))
+      });
+
+      // Inline static images are returned as MCP image content rather than base64 text
+      if (result.image_base64) {
+        const { image_base64, mime_type, ...rest } = result;
+        return {
+          content: [
+            { type: 'text', text: JSON.stringify(rest) },
+            { type: 'image', data: image_base64, mimeType: mime_type }
+          ]
+        };
+      }
+
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result) }]
+      };
+    } catch (error) {
+      console.error(`MCP tool ${name} error:`, error.message);
+      return {
+        content: [{ type: 'text', text: error.code ? `${error.code}: ${error.message}` : error.message }],
+        isError: true
+      };
+    }
+  });
+
+  return server;
+}
+
+// Streamable HTTP transport (stateless: a fresh server and transport per request)
+export async function handleMcpHttpRequest(req, res) {
+  const server = createMcpServer({ apiKey: req.apiKey, resolveTenant: () => req.tenant });
+  const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+
+  res.on('close', () => {
+    transport.close();
+    server.close();
+  });
+
+  await server.connect(transport);
+  await transport.handleRequest(req, res, req.body);
+}
+
+// stdio transport, for MCP clients that launch the server as a subprocess
+// No HTTP server runs alongside it, so map images are returned inline rather than as
+// /static-images URLs. MCP_TENANT picks the tenant, otherwise the default tenant is used.
+// It is looked up again for every call, so a reload (SIGHUP) applies to the running process.
+export async function startStdioServer() {
+  const resolveTenant = () => tenants.resolve({ requested: process.env.MCP_TENANT });
+  // Fail at startup rather than on the first call when MCP_TENANT is unknown
+  resolveTenant();
+
+  const server = createMcpServer({ resolveTenant, imageProxy: false });
+  await server.connect(new StdioServerTransport());
+  console.error('Mapbox MCP server running on stdio');
+}
@@ -0,0 +1,492 @@
+import { readFileSync } from 'fs';
+
+// Generated API descriptions: an OpenAPI 3.1 document for the REST routes and
+// OpenAI function-calling definitions, both derived from the tools array.
+
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+// Statuses a tool route can answer with besides 200, and what they mean
+const ERROR_RESPONSES = {
+  400: 'Invalid arguments (code InvalidArguments, details in errors) or overlay too large',
+  401: 'Missing or invalid API key, or Mapbox rejected the access token',
+  403: 'Tool, tenant or routing profile not allowed for this API key or tenant, or Mapbox token not allowed to use this API',
+  404: 'Unknown tool, or valid request with nothing found (NoRoute, NoMatch, ...)',
+  422: 'Mapbox rejected the request parameters',
+  429: 'Rate limit or daily quota exceeded (see Retry-After)',
+  500: 'Internal error',
+  502: 'Mapbox failed or was unreachable',
+  504: 'Mapbox did not respond in time'
+};
+
+// Fields every successful tool result has, plus the tool's own properties
+function toolResult(properties, required = []) {
+  return {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: true },
+      cached: { type: 'boolean', description: 'Present and true when served from the response cache' },
+      ...properties
+    },
+    required: ['success', ...required]
+  };
+}
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const numberMatrix = description => ({
+  type: 'array',
+  items: { type: 'array', items: { type: ['number', 'null'] } },
+  description
+});
+
+// Shapes shared by several tool results
+const sharedSchemas = {
+  ValidationIssue: {
+    type: 'object',
+    properties: {
+      field: { type: 'string' },
+      message: { type: 'string' }
+    }
+  },
+  Coordinate: {
+    type: 'array',
+    items: { type: 'number' },
+    minItems: 2,
+    maxItems: 2,
+    description: '[longitude, latitude]'
+  },
+  Polyline: {
+    type: 'string',
+    description: 'Encoded polyline (precision 5), accepted by get_route_map and get_static_image paths'
+  },
+  GeoJSON: {
+    type: 'object',
+    properties: { type: { type: 'string' } },
+    required: ['type'],
+    description: 'GeoJSON object'
+  },
+  GeocodeResult: {
+    type: 'object',
+    properties: {
+      name: { type: ['string', 'null'] },
+      place_name: { type: ['string', 'null'], description: 'Full formatted address or place name' },
+      center: ref('Coordinate'),
+      place_type: { type: 'array', items: { type: 'string' } },
+      feature_type: { type: ['string', 'null'] },
+      mapbox_id: { type: ['string', 'null'] },
+      bbox: { type: ['array', 'null'], items: { type: 'number' } },
+      address: {
+        type: 'object',
+        properties: Object.fromEntries(['address_number', 'street', 'neighborhood', 'locality', 'postcode', 'place',
+          'district', 'region', 'region_code', 'country', 'country_code'].map(field => [field, { type: ['string', 'null'] }]))
+      },
+      relevance: { type: ['number', 'null'] },
+      match_quality: { type: ['string', 'null'], enum: ['exact', 'high', 'medium', 'low', null] },
+      accuracy: { type: ['string', 'null'] },
+      source: { type: 'string', enum: ['v5', 'v6', 'searchbox'] },
+      poi_category: { type: 'array', items: { type: 'string' }, description: 'Search Box points of interest only' }
+    },
+    required: ['place_name', 'center', 'match_quality']
+  },
+  Waypoint: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      location: ref('Coordinate'),
+      distance: { type: 'number', description: 'Meters between the input coordinate and the snapped location' }
+    }
+  },
+  Route: {
+    type: 'object',
+    properties: {
+      distance: { type: 'number', description: 'Meters' },
+      duration: { type: 'number', description: 'Seconds' },
+      polyline: { ...ref('Polyline'), description: 'Encoded route geometry (summary format)' },
+      geometry: {
+        oneOf: [ref('GeoJSON'), { type: 'string' }],
+        description: 'Route geometry in the requested geometries format (full format)'
+      },
+      legs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            from: { type: ['string', 'null'] },
+            to: { type: ['string', 'null'] },
+            distance: { type: 'number' },
+            duration: { type: 'number' },
+            summary: { type: 'string' },
+            instructions: { type: 'array', items: { type: 'string' }, description: 'One line per maneuver (summary format)' },
+            steps: { type: 'array', items: { type: 'object' }, description: 'Mapbox route steps (full format)' }
+          }
+        }
+      }
+    },
+    required: ['distance', 'duration'],
+    description: 'A route; the full format passes through all Mapbox route fields'
+  },
+  StaticImage: {
+    type: 'object',
+    properties: {
+      image_url: { type: 'string', format: 'uri', description: 'Token-free URL of the PNG on this server\'s image proxy' },
+      image_base64: { type: 'string', description: 'The PNG itself, when inline is true' },
+      mime_type: { type: 'string', description: 'Type of image_base64' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      simplified_meters: { type: 'number', description: 'Simplification applied to fit the URL length limit' }
+    },
+    required: ['image_url', 'width', 'height']
+  }
+};
+
+// Result schema of each tool, referenced from its route as <Tool>Result
+const resultSchemas = {
+  geocode_forward: toolResult({
+    results: { type: 'array', items: ref('GeocodeResult') },
+    total: { type: 'integer' },
+    api: { type: 'string', enum: ['v5', 'v6', 'searchbox'] }
+  }, ['results', 'total']),
+
+  geocode_reverse: toolResult({
+    results: { type: 'array', items: ref('GeocodeResult') },
+    total: { type: 'integer' }
+  }, ['results', 'total']),
+
+  get_directions: toolResult({
+    format: { type: 'string', const: 'summary', description: 'Present for the summary format' },
+    code: { type: 'string' },
+    routes: { type: 'array', items: ref('Route'), description: 'Primary route first, then alternatives' },
+    waypoints: { type: 'array', items: ref('Waypoint') },
+    polyline: { ...ref('Polyline'), description: 'Encoded geometry of the primary route' },
+    polylines: { type: 'array', items: ref('Polyline'), description: 'Encoded geometry of every route, when alternatives were requested' }
+  }, ['routes', 'waypoints']),
+
+  get_static_image: toolResult(sharedSchemas.StaticImage.properties, sharedSchemas.StaticImage.required),
+
+  get_route_map: toolResult({
+    ...sharedSchemas.StaticImage.properties,
+    start_coordinates: ref('Coordinate'),
+    end_coordinates: ref('Coordinate'),
+    waypoint_count: { type: 'integer' },
+    bounding_box: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 },
+    route_source: {
+      type: 'string',
+      enum: ['provided', 'directions', 'none'],
+      description: 'Where the drawn routes came from'
+    },
+    route_colors: { type: 'array', items: { type: 'string' }, description: 'Hex color of each drawn route, primary first' },
+    routes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { color: { type: 'string' }, distance: { type: 'number' }, duration: { type: 'number' } }
+      },
+      description: 'Routes looked up with get_directions (route_source directions)'
+    },
+    route_error: { type: 'string', description: 'Why no route was drawn between the waypoints' }
+  }, [...sharedSchemas.StaticImage.required, 'route_source']),
+
+  get_matrix: toolResult({
+    durations: numberMatrix('Seconds from each source (row) to each destination (column); null where no route exists'),
+    distances: numberMatrix('Meters from each source (row) to each destination (column); null where no route exists'),
+    sources: { type: 'array', items: ref('Waypoint') },
+    destinations: { type: 'array', items: ref('Waypoint') },
+    code: { type: 'string' },
+    blocks: { type: 'integer', description: 'Number of Matrix API requests the result was stitched from' },
+    partial: { type: 'boolean', description: 'True when some blocks failed; their cells are null' },
+    failed_blocks: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          sources: { type: 'array', items: { type: 'integer' } },
+          destinations: { type: 'array', items: { type: 'integer' } },
+          error: { type: 'string' },
+          code: { type: 'string' }
+        }
+      }
+    }
+  }, ['sources', 'destinations']),
+
+  get_isochrone: toolResult({
+    geojson: { ...ref('GeoJSON'), description: 'FeatureCollection with one feature per contour' },
+    summary: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          contour: { type: 'number' },
+          metric: { type: 'string', enum: ['minutes', 'meters'] },
+          color: { type: 'string' },
+          area_km2: { type: 'number' }
+        }
+      }
+    },
+    profile: { type: 'string' },
+    center: ref('Coordinate')
+  }, ['geojson', 'summary']),
+
+  match_trace: toolResult({
+    geometry: { ...ref('GeoJSON'), description: 'LineString, or MultiLineString where the trace could not be matched continuously' },
+    confidence: { type: 'number', description: 'Distance-weighted confidence (0-1)' },
+    distance: { type: 'number' },
+    duration: { type: 'number' },
+    matchings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { confidence: { type: 'number' }, distance: { type: 'number' }, duration: { type: 'number' } }
+      }
+    },
+    tracepoints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer', description: 'Index of the input coordinate' },
+          matched: { type: 'boolean' },
+          location: ref('Coordinate'),
+          name: { type: 'string' },
+          matchings_index: { type: 'integer' }
+        },
+        required: ['index', 'matched']
+      }
+    },
+    unmatched_points: { type: 'integer' },
+    chunks: { type: 'integer', description: 'Map Matching requests the trace was split into' }
+  }, ['geometry', 'confidence', 'tracepoints']),
+
+  optimize_route: toolResult({
+    routes: { type: 'array', items: ref('Route') },
+    waypoints: { type: 'array', items: ref('Waypoint') },
+    code: { type: 'string' },
+    ordered_waypoints: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          input_index: { type: 'integer' },
+          trip_index: { type: 'integer' },
+          location: ref('Coordinate'),
+          name: { type: 'string' }
+        }
+      },
+      description: 'Waypoints in visiting order'
+    },
+    ordered_coordinates: { type: 'array', items: ref('Coordinate') },
+    roundtrip: { type: 'boolean' },
+    distance: { type: 'number' },
+    duration: { type: 'number' },
+    polyline: ref('Polyline')
+  }, ['routes', 'ordered_waypoints', 'ordered_coordinates']),
+
+  geocode_batch: toolResult({
+    results: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          index: { type: 'integer' },
+          query: { type: 'string' },
+          success: { type: 'boolean' },
+          results: { type: 'array', items: ref('GeocodeResult') },
+          error: { type: 'string' },
+          code: { type: 'string' },
+          errors: {
+            type: 'array',
+            items: ref('ValidationIssue'),
+            description: 'Argument errors of an invalid query'
+          }
+        },
+        required: ['index', 'success']
+      },
+      description: 'One entry per query, in input order'
+    },
+    total: { type: 'integer' },
+    succeeded: { type: 'integer' },
+    failed: { type: 'integer' }
+  }, ['results', 'total', 'succeeded', 'failed']),
+
+  geo_compute: toolResult({
+    operation: { type: 'string' },
+    distance_meters: { type: 'number' },
+    distance_km: { type: 'number' },
+    segments_meters: { type: 'array', items: { type: 'number' } },
+    bearing_degrees: { type: 'number' },
+    compass: { type: 'string' },
+    midpoint: ref('Coordinate'),
+    bbox: { type: 'array', items: { type: 'number' }, minItems: 4, maxItems: 4 },
+    centroid: ref('Coordinate'),
+    results: {
+      type: 'array',
+      items: { type: 'object', properties: { point: ref('Coordinate'), inside: { type: 'boolean' } } },
+      description: 'point_in_polygon'
+    },
+    geojson: { ...ref('GeoJSON'), description: 'buffer' },
+    area_km2: { type: 'number' },
+    coordinates: { type: 'array', items: ref('Coordinate'), description: 'simplify and polyline_decode' },
+    original_points: { type: 'integer' },
+    simplified_points: { type: 'integer' },
+    polyline: ref('Polyline')
+  }, ['operation'])
+};
+
+function resultSchemaName(toolName) {
+  return toolName.split('_').map(word => word[0].toUpperCase() + word.slice(1)).join('') + 'Result';
+}
+
+const componentSchemas = {
+  ...sharedSchemas,
+  ...Object.fromEntries(Object.entries(resultSchemas).map(([name, schema]) => [resultSchemaName(name), schema])),
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', const: false },
+      error: { type: 'string' },
+      code: { type: 'string', description: 'Stable error code, e.g. InvalidArguments, NoRoute, RateLimited' },
+      errors: {
+        type: 'array',
+        items: ref('ValidationIssue'),
+        description: 'Per-field problems for InvalidArguments'
+      }
+    },
+    required: ['success', 'error']
+  }
+};
+
+// Either header carries the API key (see auth.js)
+const securitySchemes = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    description: 'API key sent as "Authorization: Bearer <key>"'
+  },
+  apiKeyHeader: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-API-Key',
+    description: 'API key sent as "X-API-Key: <key>"'
+  }
+};
+
+function toolOperation(tool, security) {
+  const responses = {
+    200: {
+      description: 'Tool result',
+      content: { 'application/json': { schema: ref(resultSchemaName(tool.name)) } }
+    }
+  };
+  for (const [status, description] of Object.entries(ERROR_RESPONSES)) {
+    responses[status] = {
+      description,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+  }
+
+  return {
+    operationId: tool.name,
+    summary: tool.description,
+    tags: ['tools'],
+    parameters: [{
+      name: 'X-Tenant',
+      in: 'header',
+      required: false,
+      schema: { type: 'string' },
+      description: 'Tenant whose Mapbox token and defaults to use; keys bound to a tenant can only name their own'
+    }, {
+      name: 'Cache-Control',
+      in: 'header',
+      required: false,
+      schema: { type: 'string' },
+      description: '"no-cache" bypasses the response cache'
+    }],
+    security,
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              arguments: tool.inputSchema,
+              cache: { type: 'boolean', default: true, description: 'Set to false to bypass the response cache' }
+            },
+            required: ['arguments']
+          }
+        }
+      }
+    },
+    responses
+  };
+}
+
+// authEnabled: whether the tool routes require an API key (API_KEYS_FILE is set);
+// without it the key is optional, so the empty requirement is listed too
+export function buildOpenApiSpec(tools, { serverUrl, authEnabled = true }) {
+  const security = [{ bearerAuth: [] }, { apiKeyHeader: [] }, ...(authEnabled ? [] : [{}])];
+
+  const paths = {
+    '/health': {
+      get: {
+        operationId: 'health',
+        summary: 'Service health',
+        responses: { 200: { description: 'The service is running' } }
+      }
+    },
+    '/tools': {
+      get: {
+        operationId: 'listTools',
+        summary: 'Tool definitions (MCP shape, or OpenAI function-calling shape with format=openai)',
+        parameters: [{
+          name: 'format',
+          in: 'query',
+          required: false,
+          schema: { type: 'string', enum: ['mcp', 'openai'], default: 'mcp' }
+        }],
+        responses: { 200: { description: 'Tool definitions' } }
+      }
+    },
+    '/static-images/{id}.png': {
+      get: {
+        operationId: 'getStaticImage',
+        summary: 'Map image generated by get_static_image or get_route_map',
+        parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: {
+          200: { description: 'PNG image', content: { 'image/png': {} } },
+          404: {
+            description: 'Unknown image id',
+            content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+          }
+        }
+      }
+    }
+  };
+
+  for (const tool of tools) {
+    paths[`/${tool.name}`] = { post: toolOperation(tool, security) };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Mapbox MCP Server',
+      version,
+      description: 'REST interface to the Mapbox tools. The same tools are served over MCP at /mcp.'
+    },
+    servers: [{ url: serverUrl }],
+    tags: [{ name: 'tools', description: 'One POST route per tool' }],
+    paths,
+    components: { schemas: componentSchemas, securitySchemes }
+  };
+}
+
+// OpenAI (and compatible) function-calling tool definitions
+export function openAiTools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.inputSchema
+    }
+  }));
+}
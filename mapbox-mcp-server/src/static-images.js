@@ -0,0 +1,180 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { MemoryCacheBackend } from './cache.js';
+import { mapboxGet } from './mapbox.js';
+import { tenants } from './tenants.js';
+
+// Static image proxy
+// Tools return URLs pointing at this server's /static-images/:id.png endpoint instead of
+// api.mapbox.com, so the access token never reaches the LLM, the logs or the browser.
+// The id maps to the token-less Mapbox URL and the tenant; the image is fetched server-side
+// on request with that tenant's current token.
+// Registrations are saved as one JSON file per id in STATIC_IMAGES_DIR, so image URLs in saved
+// chat sessions keep working across restarts. A file's modification time records when the id
+// was last used; ids unused for STATIC_IMAGE_MAX_AGE_DAYS are pruned (0 keeps them forever).
+
+export const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`)
+  .replace(/\/+$/, '');
+// Browser cache lifetime; ids are derived from the map, so the image behind one never changes
+const IMAGE_MAX_AGE_SECONDS = 24 * 60 * 60;
+const ID_PATTERN = /^[A-Za-z0-9_-]{32}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_AGE_DAYS = Number(process.env.STATIC_IMAGE_MAX_AGE_DAYS ?? 90);
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Recently used registrations, in front of the files
+const recent = new MemoryCacheBackend({
+  maxEntries: Number(process.env.STATIC_IMAGE_MAX_ENTRIES) || 5000
+});
+
+class StaticImageStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  file(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+
+  async get(id) {
+    if (!ID_PATTERN.test(id)) return null;
+    try {
+      return JSON.parse(await fs.readFile(this.file(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write through a temporary file so a crash never leaves half an entry behind
+  async set(id, entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+    const temporary = `${this.file(id)}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(entry) + '\n');
+    await fs.rename(temporary, this.file(id));
+  }
+
+  // Mark an entry as used now
+  async touch(id) {
+    const now = new Date();
+    try {
+      await fs.utimes(this.file(id), now, now);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+
+  // Delete entries not used for maxAgeMs. Resolves with the number deleted.
+  async prune(maxAgeMs) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    const cutoff = Date.now() - maxAgeMs;
+    let count = 0;
+    for (const file of files.filter(name => name.endsWith('.json'))) {
+      try {
+        const { mtimeMs } = await fs.stat(path.join(this.dir, file));
+        if (mtimeMs < cutoff) {
+          await fs.unlink(path.join(this.dir, file));
+          count++;
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return count;
+  }
+}
+
+const store = new StaticImageStore({ dir: process.env.STATIC_IMAGES_DIR || 'data/static-images' });
+
+// Entries stay in memory for at most a day, so reading the file again refreshes its last use
+// often enough for an age limit in days
+async function lookupStaticImage(id) {
+  let entry = await recent.get(id);
+  if (!entry) {
+    entry = await store.get(id);
+    if (entry) {
+      await store.touch(id);
+      await recent.set(id, entry, IMAGE_MAX_AGE_SECONDS);
+    }
+  }
+  return entry;
+}
+
+// Prune unused ids now and then every hour (HTTP server only; stdio keeps no registry)
+export function startStaticImagePruning() {
+  if (!(MAX_AGE_DAYS > 0)) return;
+
+  const prune = () => store.prune(MAX_AGE_DAYS * DAY_MS)
+    .then(count => {
+      if (count > 0) console.log(`Pruned ${count} static image ids unused for ${MAX_AGE_DAYS} days`);
+    })
+    .catch(error => console.error('Static image prune error:', error.message));
+
+  prune();
+  setInterval(prune, PRUNE_INTERVAL_MS).unref();
+}
+
+// Register a token-less Mapbox Static Images URL for a tenant and return its proxy id.
+// Ids are derived from the tenant and URL, so the same map always gets the same id (and browser cache entry).
+export async function registerStaticImage(mapboxUrl, tenant) {
+  const id = crypto.createHash('sha256').update(`${tenant.id}\n${mapboxUrl}`).digest('base64url').slice(0, 32);
+  if (!await lookupStaticImage(id)) {
+    const entry = { url: mapboxUrl, tenant: tenant.id, created_at: new Date().toISOString() };
+    await store.set(id, entry);
+    await recent.set(id, entry, IMAGE_MAX_AGE_SECONDS);
+  }
+  return id;
+}
+
+export function staticImageUrl(id) {
+  return `${PUBLIC_BASE_URL}/static-images/${id}.png`;
+}
+
+async function fetchMapboxImage(mapboxUrl, tenant) {
+  const response = await mapboxGet(mapboxUrl, { tenant, responseType: 'arraybuffer' });
+
+  return {
+    data: Buffer.from(response.data),
+    contentType: response.headers['content-type'] || 'image/png',
+    maxAge: IMAGE_MAX_AGE_SECONDS
+  };
+}
+
+// Fetch the PNG for a registered id from Mapbox. Resolves with null for unknown ids and for
+// images of tenants removed since.
+export async function fetchStaticImage(id) {
+  const entry = await lookupStaticImage(id);
+  const tenant = entry && tenants.get(entry.tenant);
+  if (!tenant) return null;
+
+  return fetchMapboxImage(entry.url, tenant);
+}
+
+// Build the tool result for a static map: a proxy URL, plus the image itself as base64 when inline.
+// Without proxy (the stdio transport, where no HTTP server serves /static-images) the image is
+// always inline and there is no URL.
+export async function staticImageResult(mapboxUrl, { inline = false, tenant, proxy = true }) {
+  if (!proxy) {
+    const image = await fetchMapboxImage(mapboxUrl, tenant);
+    return { image_base64: image.data.toString('base64'), mime_type: image.contentType };
+  }
+
+  const id = await registerStaticImage(mapboxUrl, tenant);
+  const result = { image_url: staticImageUrl(id) };
+
+  if (inline) {
+    const image = await fetchStaticImage(id);
+    result.image_base64 = image.data.toString('base64');
+    result.mime_type = image.contentType;
+  }
+
+  return result;
+}
@@ -0,0 +1,177 @@
+import { encodePolyline, decodePolyline, simplify } from './geo.js';
+import { ToolError } from './errors.js';
+import { MAPBOX_API_URL } from './mapbox.js';
+
+// Static Images API URL building
+// Overlays are GeoJSON, paths and markers; long overlays are simplified until the URL fits.
+
+// Mapbox rejects static image URLs longer than this
+export const MAX_URL_LENGTH = 8192;
+// Room kept for the query string (access token) added when the image is fetched
+const QUERY_RESERVE = 256;
+// Simplification tolerances tried in turn (meters) when the URL is too long
+const TOLERANCES = [2, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000];
+// Style ids are owner/style-id; anything else could point the token-bearing image fetch at another path
+export const STYLE_PATTERN = /^[\w-]+\/[\w-]+$/;
+
+// Common color names accepted for markers and paths, as Mapbox only takes hex colors
+const NAMED_COLORS = {
+  red: 'ff0000',
+  green: '00ff00',
+  blue: '0000ff',
+  yellow: 'ffff00',
+  orange: 'ffa500',
+  purple: '800080',
+  pink: 'ffc0cb',
+  black: '000000',
+  white: 'ffffff',
+  gray: '808080',
+  grey: '808080'
+};
+
+export function hexColor(color) {
+  const value = String(color).trim().toLowerCase();
+  return NAMED_COLORS[value] || value.replace(/^#/, '');
+}
+
+// pin-s-a+ff0000(lon,lat) or url-<encoded icon url>(lon,lat)
+export function markerOverlay(marker) {
+  const position = `(${marker.longitude},${marker.latitude})`;
+
+  if (marker.icon_url) {
+    return `url-${encodeURIComponent(marker.icon_url)}${position}`;
+  }
+
+  let markerStr = `pin-${marker.size === 'large' ? 'l' : 's'}`;
+  if (marker.label) markerStr += `-${String(marker.label).toLowerCase()}`;
+  markerStr += `+${hexColor(marker.color || 'red')}${position}`;
+  return markerStr;
+}
+
+// path-{strokeWidth}+{strokeColor}-{strokeOpacity}+{fillColor}-{fillOpacity}(polyline)
+export function pathOverlay(path, tolerance = 0) {
+  let coordinates = path.coordinates || decodePolyline(path.polyline);
+  if (tolerance > 0) {
+    coordinates = simplify(coordinates, tolerance);
+  }
+
+  let style = `path-${path.stroke_width ?? 5}+${hexColor(path.stroke_color || '0080ff')}-${path.stroke_opacity ?? 0.75}`;
+  if (path.fill_color) {
+    style += `+${hexColor(path.fill_color)}-${path.fill_opacity ?? 0.3}`;
+  }
+
+  return `${style}(${encodeURIComponent(encodePolyline(coordinates))})`;
+}
+
+// Simplify every line and ring of a GeoJSON object, rounding coordinates to ~1 m
+function simplifyGeoJson(value, tolerance) {
+  const round = ([lon, lat]) => [Math.round(lon * 1e5) / 1e5, Math.round(lat * 1e5) / 1e5];
+  const line = coordinates => simplify(coordinates, tolerance).map(round);
+  // Rings keep at least 4 positions so they stay valid polygons
+  const ring = coordinates => {
+    const simplified = line(coordinates);
+    return simplified.length >= 4 ? simplified : coordinates.map(round);
+  };
+
+  if (!value || typeof value !== 'object') return value;
+
+  switch (value.type) {
+    case 'FeatureCollection':
+      return { ...value, features: value.features.map(feature => simplifyGeoJson(feature, tolerance)) };
+    case 'Feature':
+      return { ...value, geometry: simplifyGeoJson(value.geometry, tolerance) };
+    case 'GeometryCollection':
+      return { ...value, geometries: value.geometries.map(geometry => simplifyGeoJson(geometry, tolerance)) };
+    case 'LineString':
+      return { ...value, coordinates: line(value.coordinates) };
+    case 'MultiLineString':
+      return { ...value, coordinates: value.coordinates.map(line) };
+    case 'Polygon':
+      return { ...value, coordinates: value.coordinates.map(ring) };
+    case 'MultiPolygon':
+      return { ...value, coordinates: value.coordinates.map(polygon => polygon.map(ring)) };
+    default:
+      return value;
+  }
+}
+
+export function geojsonOverlay(geojson, tolerance = 0) {
+  const value = tolerance > 0 ? simplifyGeoJson(geojson, tolerance) : geojson;
+  return `geojson(${encodeURIComponent(JSON.stringify(value))})`;
+}
+
+// Position segment: [bbox], lon,lat,zoom[,bearing[,pitch]] or auto
+function positionSegment({ bbox, center, zoom, bearing, pitch }) {
+  if (bbox) {
+    return `[${bbox.join(',')}]`;
+  }
+
+  if (center && zoom !== undefined) {
+    const parts = [...center, zoom];
+    if (bearing !== undefined || pitch !== undefined) {
+      parts.push(bearing ?? 0);
+      if (pitch !== undefined) parts.push(pitch);
+    }
+    return parts.join(',');
+  }
+
+  return 'auto';
+}
+
+function buildUrl({ style, width, height, retina, padding, geojson, paths = [], markers = [], ...position }, tolerance) {
+  const overlays = [];
+
+  // Drawn in order: GeoJSON below paths, markers on top
+  if (geojson) overlays.push(geojsonOverlay(geojson, tolerance));
+  overlays.push(...paths.map(path => pathOverlay(path, tolerance)));
+  overlays.push(...markers.map(markerOverlay));
+
+  let url = `${MAPBOX_API_URL}/styles/v1/${style}/static`;
+  if (overlays.length > 0) {
+    url += `/${overlays.join(',')}`;
+  }
+  url += `/${positionSegment(position)}/${width}x${height}${retina ? '@2x' : ''}`;
+
+  if (padding !== undefined && !(position.center && position.zoom !== undefined)) {
+    url += `?${new URLSearchParams({ padding: String(padding) })}`;
+  }
+
+  return url;
+}
+
+// Throws a 400 InvalidStyle ToolError unless style is an owner/style-id pair
+export function checkStyle(style) {
+  if (!STYLE_PATTERN.test(style)) {
+    throw new ToolError(`Invalid map style "${style}": expected owner/style-id, e.g. mapbox/streets-v12`, {
+      status: 400,
+      code: 'InvalidStyle'
+    });
+  }
+}
+
+// Build a token-less Static Images URL, simplifying overlay geometry until it fits the URL length limit.
+// Returns { url, tolerance } where tolerance is the simplification applied in meters (0 if none).
+export function buildStaticMapUrl(options) {
+  checkStyle(options.style);
+
+  const limit = MAX_URL_LENGTH - QUERY_RESERVE;
+
+  let url = buildUrl(options, 0);
+  if (url.length <= limit) {
+    return { url, tolerance: 0 };
+  }
+
+  if (options.geojson || options.paths?.length) {
+    for (const tolerance of TOLERANCES) {
+      url = buildUrl(options, tolerance);
+      if (url.length <= limit) {
+        return { url, tolerance };
+      }
+    }
+  }
+
+  throw new ToolError(
+    `Map overlays are too large for a static image URL (${url.length} characters, limit ${limit}) even after simplification; reduce the number of markers or features`,
+    { status: 400, code: 'OverlayTooLarge' }
+  );
+}
@@ -0,0 +1,146 @@
+import fs from 'fs';
+import { ToolError, AuthError } from './errors.js';
+import { mapboxUpstream } from './mapbox.js';
+import { STYLE_PATTERN } from './static-map.js';
+
+// Tenants: each has its own Mapbox token, default map style and allowed routing profiles.
+// Loaded from the JSON file named by TENANTS_FILE:
+// {
+//   "default_tenant": "maps",
+//   "tenants": [
+//     { "id": "maps", "mapbox_token": "pk...", "default_style": "mapbox/streets-v12" },
+//     { "id": "logistics", "mapbox_token": "pk...", "default_style": "mapbox/light-v11", "profiles": ["driving", "driving-traffic"] }
+//   ]
+// }
+// Without TENANTS_FILE there is one "default" tenant using MAPBOX_ACCESS_TOKEN.
+// The file is read again on SIGHUP or POST /tenants/reload, so tokens change without a restart.
+
+const DEFAULT_STYLE = 'mapbox/streets-v12';
+
+function parseTenant(entry, index) {
+  if (!entry.id) {
+    throw new Error(`Tenant #${index + 1} has no id`);
+  }
+  if (entry.default_style && !STYLE_PATTERN.test(entry.default_style)) {
+    throw new Error(`Tenant "${entry.id}" has an invalid default_style; expected owner/style-id`);
+  }
+
+  return {
+    id: entry.id,
+    token: entry.mapbox_token,
+    defaultStyle: entry.default_style || DEFAULT_STYLE,
+    // null allows every profile
+    profiles: entry.profiles || null
+  };
+}
+
+function emptyUsage() {
+  return { tool_calls: 0, errors: 0, mapbox_requests: 0, by_tool: {}, last_used_at: null };
+}
+
+export class TenantStore {
+  constructor({ file, defaultToken } = {}) {
+    this.file = file;
+    this.defaultToken = defaultToken;
+    this.tenants = new Map();
+    this.defaultId = null;
+    // Usage per tenant id; kept across reloads
+    this.usage = new Map();
+    this.loadedAt = null;
+  }
+
+  // (Re)load the tenants. On failure the previous configuration stays in place.
+  load() {
+    let defaultId = 'default';
+    let entries = [{ id: 'default', mapbox_token: this.defaultToken }];
+
+    if (this.file) {
+      const config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      entries = config.tenants || [];
+      defaultId = config.default_tenant || entries[0]?.id;
+    }
+
+    const tenants = new Map(entries.map((entry, index) => {
+      const tenant = parseTenant(entry, index);
+      // Shared usage record, so counts survive reloads and mapboxGet can update them
+      tenant.usage = this.usageFor(tenant.id);
+      return [tenant.id, tenant];
+    }));
+
+    if (defaultId && !tenants.has(defaultId)) {
+      throw new Error(`Default tenant "${defaultId}" is not defined`);
+    }
+
+    this.tenants = tenants;
+    this.defaultId = defaultId;
+    this.loadedAt = new Date().toISOString();
+
+    // Keep every tenant's token out of recorded fixtures
+    mapboxUpstream.setSecrets([...tenants.values()].map(tenant => tenant.token));
+
+    return tenants.size;
+  }
+
+  get(id) {
+    return this.tenants.get(id) || null;
+  }
+
+  // Pick the tenant for a call: the API key's tenant, else the X-Tenant header, else the default.
+  // A key bound to a tenant cannot switch to another one with the header.
+  resolve({ apiKey, requested } = {}) {
+    const pinned = apiKey?.tenant;
+    if (pinned && requested && requested !== pinned) {
+      throw new AuthError(`API key "${apiKey.id}" cannot use tenant "${requested}"`, { status: 403, code: 'TenantNotAllowed' });
+    }
+
+    const id = pinned || requested || this.defaultId;
+    const tenant = id ? this.get(id) : null;
+    if (!tenant) {
+      throw new ToolError(id ? `Unknown tenant "${id}"` : 'No tenant selected and no default tenant configured', {
+        status: 400,
+        code: 'UnknownTenant'
+      });
+    }
+    if (!tenant.token && mapboxUpstream.mode !== 'replay') {
+      throw new ToolError(`Tenant "${tenant.id}" has no Mapbox token configured`, { status: 500, code: 'TenantMisconfigured' });
+    }
+
+    return tenant;
+  }
+
+  usageFor(id) {
+    if (!this.usage.has(id)) {
+      this.usage.set(id, emptyUsage());
+    }
+    return this.usage.get(id);
+  }
+
+  recordToolCall(tenant, tool, { error = false } = {}) {
+    const usage = this.usageFor(tenant.id);
+    usage.tool_calls++;
+    usage.by_tool[tool] = (usage.by_tool[tool] || 0) + 1;
+    if (error) usage.errors++;
+    usage.last_used_at = new Date().toISOString();
+  }
+
+  // Tenant settings and usage, without tokens
+  describe() {
+    return {
+      default_tenant: this.defaultId,
+      loaded_at: this.loadedAt,
+      tenants: [...this.tenants.values()].map(tenant => ({
+        id: tenant.id,
+        default_style: tenant.defaultStyle,
+        profiles: tenant.profiles,
+        token_configured: Boolean(tenant.token),
+        usage: this.usageFor(tenant.id)
+      }))
+    };
+  }
+}
+
+export const tenants = new TenantStore({
+  file: process.env.TENANTS_FILE,
+  defaultToken: process.env.MAPBOX_ACCESS_TOKEN
+});
+tenants.load();
@@ -0,0 +1,686 @@
+// MCP Tools definitions
+// Each tool is served both as a REST route (POST /<name>) and over the Model Context Protocol
+export const tools = [
+  {
+    name: 'geocode_forward',
+    description: 'Convert an address or place name into geographic coordinates (latitude, longitude). Each result has the full address broken into components and a match_quality (exact, high, medium, low). Pass proximity or bbox to disambiguate common names like "Main Street".',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The address or place name to geocode'
+        },
+        limit: {
+          type: 'number',
+          description: 'Maximum number of results to return (1-10)',
+          minimum: 1,
+          maximum: 10,
+          default: 5
+        },
+        country: {
+          type: 'string',
+          description: 'ISO 3166-1 alpha-2 country code(s) to limit results, comma-separated'
+        },
+        proximity: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 2,
+          maxItems: 2,
+          description: '[longitude, latitude] to bias results towards (e.g. the user\'s location or the city being discussed)'
+        },
+        bbox: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 4,
+          maxItems: 4,
+          description: 'Only return results inside [minLon, minLat, maxLon, maxLat]'
+        },
+        types: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: ['country', 'region', 'postcode', 'district', 'place', 'locality', 'neighborhood', 'street', 'address', 'poi']
+          },
+          description: 'Filter results by feature types (street is v6/searchbox only, poi is v5/searchbox only)'
+        },
+        language: {
+          type: 'string',
+          description: 'IETF language tag(s) for the results, e.g. "de" or "en,fr"'
+        },
+        autocomplete: {
+          type: 'boolean',
+          description: 'Treat the query as incomplete and return partial matches (default true)'
+        },
+        fuzzyMatch: {
+          type: 'boolean',
+          description: 'Allow approximate matching for typos (default true, v5 only)'
+        },
+        worldview: {
+          type: 'string',
+          description: 'ISO country code whose view of disputed borders to use, e.g. "us", "cn", "in"'
+        },
+        api: {
+          type: 'string',
+          enum: ['v5', 'v6', 'searchbox'],
+          default: 'v5',
+          description: 'Backend: Geocoding v5, Geocoding v6 (better address matching), or the Search Box API (includes points of interest). All return the same result shape.'
+        }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'geocode_reverse',
+    description: 'Convert geographic coordinates into a human-readable address',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        longitude: {
+          type: 'number',
+          description: 'Longitude coordinate',
+          minimum: -180,
+          maximum: 180
+        },
+        latitude: {
+          type: 'number',
+          description: 'Latitude coordinate',
+          minimum: -90,
+          maximum: 90
+        },
+        types: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Filter results by feature types'
+        }
+      },
+      required: ['longitude', 'latitude']
+    }
+  },
+  {
+    name: 'get_directions',
+    description: 'Get directions between multiple waypoints. The response always includes an encoded polyline for get_route_map.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coordinates: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'number' },
+            minItems: 2,
+            maxItems: 2
+          },
+          minItems: 2,
+          description: 'Array of [longitude, latitude] coordinate pairs'
+        },
+        profile: {
+          type: 'string',
+          enum: ['driving', 'walking', 'cycling', 'driving-traffic'],
+          default: 'driving',
+          description: 'Routing profile'
+        },
+        geometries: {
+          type: 'string',
+          enum: ['geojson', 'polyline', 'polyline6'],
+          default: 'geojson',
+          description: 'Response geometry format'
+        },
+        steps: {
+          type: 'boolean',
+          default: true,
+          description: 'Include turn-by-turn instructions'
+        },
+        overview: {
+          type: 'string',
+          enum: ['full', 'simplified', 'false'],
+          default: 'full',
+          description: 'Type of route geometry overview'
+        },
+        alternatives: {
+          type: 'boolean',
+          default: false,
+          description: 'Also return up to two alternative routes'
+        },
+        exclude: {
+          type: 'array',
+          items: { type: 'string', enum: ['toll', 'ferry', 'motorway', 'unpaved', 'cash_only_tolls'] },
+          description: 'Road types to avoid (driving profiles only; ferry also applies to walking and cycling)'
+        },
+        annotations: {
+          type: 'array',
+          items: { type: 'string', enum: ['duration', 'distance', 'speed', 'congestion', 'maxspeed'] },
+          description: 'Per-segment metadata to include along the route (full format only)'
+        },
+        depart_at: {
+          type: 'string',
+          description: 'Departure time as local ISO 8601 "YYYY-MM-DDThh:mm" (driving and driving-traffic only)'
+        },
+        arrive_by: {
+          type: 'string',
+          description: 'Desired arrival time as local ISO 8601 "YYYY-MM-DDThh:mm" (driving only, cannot be combined with depart_at)'
+        },
+        waypoint_names: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Custom names for the waypoints, one per coordinate, used in instructions'
+        },
+        language: {
+          type: 'string',
+          description: 'Language for turn-by-turn instructions, e.g. "de"'
+        },
+        format: {
+          type: 'string',
+          enum: ['full', 'summary'],
+          default: 'full',
+          description: 'full: complete Mapbox routes with steps and geometry. summary: compact per-leg totals and a short instruction list (much smaller, preferred unless the geometry is needed).'
+        }
+      },
+      required: ['coordinates']
+    }
+  },
+  {
+    name: 'get_static_image',
+    description: 'Generate a static map image with markers, styled paths and GeoJSON overlays. Overlays too long for a Mapbox URL are simplified automatically (reported as simplified_meters).',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        style: {
+          type: 'string',
+          description: 'Map style ID as owner/style-id (defaults to the style of the tenant, normally mapbox/streets-v12)'
+        },
+        width: {
+          type: 'number',
+          minimum: 1,
+          maximum: 1280,
+          default: 600,
+          description: 'Image width in pixels'
+        },
+        height: {
+          type: 'number',
+          minimum: 1,
+          maximum: 1280,
+          default: 400,
+          description: 'Image height in pixels'
+        },
+        zoom: {
+          type: 'number',
+          minimum: 0,
+          maximum: 22,
+          description: 'Zoom level (required if no bbox)'
+        },
+        center: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 2,
+          maxItems: 2,
+          description: '[longitude, latitude] center point (required if no bbox)'
+        },
+        bbox: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 4,
+          maxItems: 4,
+          description: 'Bounding box [minLon, minLat, maxLon, maxLat]'
+        },
+        bearing: {
+          type: 'number',
+          minimum: 0,
+          maximum: 360,
+          description: 'Map rotation in degrees (requires center and zoom)'
+        },
+        pitch: {
+          type: 'number',
+          minimum: 0,
+          maximum: 60,
+          description: 'Map tilt in degrees (requires center and zoom)'
+        },
+        padding: {
+          type: 'number',
+          minimum: 0,
+          description: 'Padding in pixels around the overlays when the map is framed automatically or by bbox'
+        },
+        retina: {
+          type: 'boolean',
+          default: false,
+          description: 'Render at double pixel density (@2x)'
+        },
+        markers: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              longitude: { type: 'number' },
+              latitude: { type: 'number' },
+              size: { type: 'string', enum: ['small', 'large'], default: 'small' },
+              color: { type: 'string', default: 'red', description: 'Hex color (e.g. "ff0000") or a basic color name' },
+              label: { type: 'string', description: 'Single letter, number 0-99 or Maki icon name' },
+              icon_url: { type: 'string', description: 'URL of a custom PNG marker icon (replaces the pin)' }
+            },
+            required: ['longitude', 'latitude']
+          },
+          description: 'Array of markers to place on the map'
+        },
+        paths: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              polyline: { type: 'string', description: 'Encoded polyline (precision 5), e.g. from get_directions' },
+              coordinates: {
+                type: 'array',
+                items: {
+                  type: 'array',
+                  items: { type: 'number' },
+                  minItems: 2,
+                  maxItems: 2
+                },
+                minItems: 2,
+                description: '[longitude, latitude] pairs (alternative to polyline)'
+              },
+              stroke_width: { type: 'number', minimum: 0, default: 5 },
+              stroke_color: { type: 'string', default: '0080ff' },
+              stroke_opacity: { type: 'number', minimum: 0, maximum: 1, default: 0.75 },
+              fill_color: { type: 'string', description: 'Fill color, closes the path into a polygon' },
+              fill_opacity: { type: 'number', minimum: 0, maximum: 1 }
+            }
+          },
+          description: 'Lines or polygons to draw, each with its own style'
+        },
+        geojson: {
+          type: 'object',
+          description: 'GeoJSON Feature or FeatureCollection to draw on the map (e.g. the geojson returned by get_isochrone). Simplestyle properties (fill, stroke, fill-opacity, ...) control styling. The map is framed automatically if no bbox or center/zoom is given.'
+        },
+        inline: {
+          type: 'boolean',
+          default: false,
+          description: 'Also return the image itself (base64 PNG, sent as MCP image content) instead of only a URL. Over stdio the image is always returned this way.'
+        }
+      }
+    }
+  },
+  {
+    name: 'get_route_map',
+    description: 'Generate a static map image of a route with numbered markers for every waypoint. Without a polyline the route is looked up with the Directions API; alternatives are drawn in different colors.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coordinates: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'number' },
+            minItems: 2,
+            maxItems: 2
+          },
+          minItems: 1,
+          description: 'Array of [longitude, latitude] waypoints, each drawn as a numbered marker'
+        },
+        style: {
+          type: 'string',
+          description: 'Map style ID as owner/style-id (defaults to the style of the tenant, normally mapbox/streets-v12)'
+        },
+        width: {
+          type: 'number',
+          minimum: 1,
+          maximum: 1280,
+          default: 800,
+          description: 'Image width in pixels'
+        },
+        height: {
+          type: 'number',
+          minimum: 1,
+          maximum: 1280,
+          default: 600,
+          description: 'Image height in pixels'
+        },
+        route_polyline: {
+          type: 'string',
+          description: 'Encoded polyline from get_directions (optional, the route is looked up when omitted)'
+        },
+        route_polylines: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: 1,
+          description: 'Several encoded polylines (e.g. polylines from get_directions with alternatives), primary route first'
+        },
+        profile: {
+          type: 'string',
+          enum: ['driving', 'walking', 'cycling', 'driving-traffic'],
+          default: 'driving',
+          description: 'Routing profile used when the route is looked up'
+        },
+        alternatives: {
+          type: 'boolean',
+          default: false,
+          description: 'Also draw alternative routes when the route is looked up'
+        },
+        fetch_route: {
+          type: 'boolean',
+          default: true,
+          description: 'Look up the route when no polyline is given (false draws only the markers)'
+        },
+        inline: {
+          type: 'boolean',
+          default: false,
+          description: 'Also return the image itself (base64 PNG, sent as MCP image content) instead of only a URL. Over stdio the image is always returned this way.'
+        }
+      },
+      required: ['coordinates']
+    }
+  },
+  {
+    name: 'get_matrix',
+    description: 'Calculate travel times and distances between multiple points. Large sets (more than 25 points, or 10 for driving-traffic) are split into API-sized blocks and stitched into one matrix; blocks that fail are listed in failed_blocks with null cells. One call can return at most 10,000 cells (e.g. 100x100, or 200 sources x 50 destinations) from at most 100 block requests; with driving-traffic that is about 50x50.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coordinates: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'number' },
+            minItems: 2,
+            maxItems: 2
+          },
+          minItems: 2,
+          maxItems: 250,
+          description: 'Array of [longitude, latitude] coordinate pairs (up to 250)'
+        },
+        profile: {
+          type: 'string',
+          enum: ['driving', 'walking', 'cycling', 'driving-traffic'],
+          default: 'driving',
+          description: 'Routing profile'
+        },
+        sources: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Indices of coordinates to use as sources (default: all)'
+        },
+        destinations: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Indices of coordinates to use as destinations (default: all)'
+        },
+        annotations: {
+          type: 'array',
+          items: { type: 'string', enum: ['duration', 'distance', 'speed'] },
+          default: ['duration', 'distance'],
+          description: 'Annotations to include in response'
+        },
+        concurrency: {
+          type: 'number',
+          minimum: 1,
+          maximum: 10,
+          default: 4,
+          description: 'Maximum number of block requests to run at the same time for large matrices'
+        }
+      },
+      required: ['coordinates']
+    }
+  },
+  {
+    name: 'get_isochrone',
+    description: 'Get the areas reachable from a point within given travel times or distances ("what can I reach in 15 minutes by bike?"). Returns GeoJSON contours that can be drawn with get_static_image, plus the area of each contour.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coordinates: {
+          type: 'array',
+          items: { type: 'number' },
+          minItems: 2,
+          maxItems: 2,
+          description: '[longitude, latitude] of the starting point'
+        },
+        profile: {
+          type: 'string',
+          enum: ['driving', 'walking', 'cycling', 'driving-traffic'],
+          default: 'driving',
+          description: 'Routing profile'
+        },
+        contours_minutes: {
+          type: 'array',
+          items: { type: 'number', minimum: 1, maximum: 60 },
+          minItems: 1,
+          maxItems: 4,
+          description: 'Travel times in minutes for each contour (use this or contours_meters)'
+        },
+        contours_meters: {
+          type: 'array',
+          items: { type: 'number', minimum: 1, maximum: 100000 },
+          minItems: 1,
+          maxItems: 4,
+          description: 'Travel distances in meters for each contour (use this or contours_minutes)'
+        },
+        contours_colors: {
+          type: 'array',
+          items: { type: 'string' },
+          maxItems: 4,
+          description: 'Hex colors without "#" for each contour, in the same order as the contours'
+        },
+        polygons: {
+          type: 'boolean',
+          default: true,
+          description: 'Return filled polygons (true) or contour lines (false)'
+        },
+        denoise: {
+          type: 'number',
+          minimum: 0,
+          maximum: 1,
+          default: 1,
+          description: 'Remove contours smaller than this fraction of the largest contour (0-1)'
+        },
+        generalize: {
+          type: 'number',
+          minimum: 0,
+          description: 'Simplification tolerance in meters'
+        }
+      },
+      required: ['coordinates']
+    }
+  },
+  {
+    name: 'match_trace',
+    description: 'Snap a noisy GPS trace onto the road network (Map Matching). Returns the matched geometry, confidence, per-point tracepoints and matched distance and duration. Traces longer than 100 points (up to 2000) are split and stitched automatically.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coordinates: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'number' },
+            minItems: 2,
+            maxItems: 2
+          },
+          minItems: 2,
+          maxItems: 2000,
+          description: 'GPS trace as [longitude, latitude] pairs, in recording order'
+        },
+        timestamps: {
+          type: 'array',
+          items: { type: 'number' },
+          description: 'Unix timestamps in seconds, one per coordinate (optional, improves matching)'
+        },
+        radiuses: {
+          type: 'array',
+          items: { type: 'number', minimum: 0, maximum: 50 },
+          description: 'GPS accuracy in meters, one per coordinate (optional, default 5)'
+        },
+        profile: {
+          type: 'string',
+          enum: ['driving', 'walking', 'cycling', 'driving-traffic'],
+          default: 'driving',
+          description: 'Routing profile'
+        },
+        tidy: {
+          type: 'boolean',
+          default: false,
+          description: 'Remove clusters and re-sample the trace before matching'
+        }
+      },
+      required: ['coordinates']
+    }
+  },
+  {
+    name: 'optimize_route',
+    description: 'Find the best order to visit multiple stops (traveling salesman, up to 12 coordinates). Returns the reordered waypoints plus the route in the same shape as get_directions, so the result can be drawn with get_route_map.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        coordinates: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'number' },
+            minItems: 2,
+            maxItems: 2
+          },
+          minItems: 2,
+          maxItems: 12,
+          description: 'Array of [longitude, latitude] coordinate pairs to visit'
+        },
+        profile: {
+          type: 'string',
+          enum: ['driving', 'walking', 'cycling', 'driving-traffic'],
+          default: 'driving',
+          description: 'Routing profile'
+        },
+        roundtrip: {
+          type: 'boolean',
+          default: true,
+          description: 'Return to the starting point (true) or end at the last stop (false)'
+        },
+        source: {
+          type: 'string',
+          enum: ['any', 'first'],
+          default: 'any',
+          description: 'Start at the first coordinate ("first") or wherever is best ("any")'
+        },
+        destination: {
+          type: 'string',
+          enum: ['any', 'last'],
+          default: 'any',
+          description: 'End at the last coordinate ("last") or wherever is best ("any")'
+        },
+        distributions: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'number' },
+            minItems: 2,
+            maxItems: 2
+          },
+          description: 'Pickup/delivery pairs as [pickup index, dropoff index]; each pickup is visited before its dropoff'
+        },
+        steps: {
+          type: 'boolean',
+          default: false,
+          description: 'Include turn-by-turn instructions'
+        }
+      },
+      required: ['coordinates']
+    }
+  },
+  {
+    name: 'geocode_batch',
+    description: 'Geocode many addresses or place names in one call. Results come back in input order, and each item has its own success or error so one bad address does not fail the whole batch.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        queries: {
+          type: 'array',
+          // Each item is checked against the geocode_forward schema on its own, so one
+          // invalid query fails only its own result
+          items: {
+            type: 'object',
+            description: 'geocode_forward arguments for one query: query (required), and optionally country, proximity, limit (1-10, default 1) and the other geocode_forward options'
+          },
+          minItems: 1,
+          maxItems: 50,
+          description: 'Queries to geocode (up to 50)'
+        },
+        concurrency: {
+          type: 'number',
+          minimum: 1,
+          maximum: 10,
+          default: 5,
+          description: 'Maximum number of lookups to run at the same time'
+        }
+      },
+      required: ['queries']
+    }
+  },
+  {
+    name: 'geo_compute',
+    description: 'Exact geometry calculations done locally (no Mapbox call): distance, bearing, midpoint, bounding box, centroid, point-in-polygon, buffer, line simplification and polyline encode/decode. Use this instead of estimating geometry yourself.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        operation: {
+          type: 'string',
+          enum: [
+            'distance', 'bearing', 'midpoint', 'bbox', 'centroid', 'point_in_polygon',
+            'buffer', 'simplify', 'polyline_encode', 'polyline_decode'
+          ],
+          description: 'distance: haversine length along the points (2+). bearing/midpoint: between 2 points. bbox/centroid: of the points (centroid of polygon if given). point_in_polygon: test each point against polygon. buffer: circle of radius around each point. simplify: Douglas-Peucker on the points. polyline_encode: points to polyline. polyline_decode: polyline to points.'
+        },
+        coordinates: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: { type: 'number' },
+            minItems: 2,
+            maxItems: 2
+          },
+          description: 'Input points as [longitude, latitude] pairs'
+        },
+        polygon: {
+          type: 'array',
+          items: {
+            type: 'array',
+            items: {
+              type: 'array',
+              items: { type: 'number' },
+              minItems: 2,
+              maxItems: 2
+            },
+            minItems: 4
+          },
+          minItems: 1,
+          description: 'Polygon as GeoJSON rings (first ring outer boundary, the rest holes), for point_in_polygon and centroid'
+        },
+        radius: {
+          type: 'number',
+          minimum: 0,
+          description: 'Buffer radius in meters'
+        },
+        steps: {
+          type: 'number',
+          minimum: 8,
+          maximum: 256,
+          default: 64,
+          description: 'Number of vertices of each buffer circle'
+        },
+        tolerance: {
+          type: 'number',
+          minimum: 0,
+          default: 10,
+          description: 'Simplification tolerance in meters'
+        },
+        polyline: {
+          type: 'string',
+          description: 'Encoded polyline to decode'
+        },
+        precision: {
+          type: 'number',
+          enum: [5, 6],
+          default: 5,
+          description: 'Polyline precision: 5 (polyline) or 6 (polyline6)'
+        }
+      },
+      required: ['operation']
+    }
+  }
+];
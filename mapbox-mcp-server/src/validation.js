@@ -0,0 +1,112 @@
+import { ToolError } from './errors.js';
+
+// Minimal JSON Schema validation for tool arguments
+// Supports the subset used by the tool definitions: type, enum, minimum/maximum,
+// minItems/maxItems, items, properties, required and default.
+
+export class ValidationError extends ToolError {
+  constructor(errors) {
+    super(`Invalid arguments: ${errors.map(e => `${e.field} ${e.message}`).join('; ')}`, {
+      status: 400,
+      code: 'InvalidArguments'
+    });
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeof value === type;
+  }
+}
+
+function cloneDefault(value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+// Validate a value against a schema, collecting errors and returning the value with defaults applied
+function check(schema, value, path, errors) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ field: path || 'arguments', message: `must be of type ${schema.type} (got ${typeOf(value)})` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field: path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: path, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      return value.map((item, index) => check(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    const result = { ...value };
+
+    for (const name of schema.required || []) {
+      if (result[name] === undefined || result[name] === null) {
+        errors.push({ field: path ? `${path}.${name}` : name, message: 'is required' });
+      }
+    }
+
+    for (const [name, propertySchema] of Object.entries(schema.properties)) {
+      const field = path ? `${path}.${name}` : name;
+      if (result[name] === undefined || result[name] === null) {
+        if (propertySchema.default !== undefined) {
+          result[name] = cloneDefault(propertySchema.default);
+        }
+        continue;
+      }
+      result[name] = check(propertySchema, result[name], field, errors);
+    }
+
+    return result;
+  }
+
+  return value;
+}
+
+// Validate tool arguments against a tool's inputSchema.
+// Returns the arguments with schema defaults applied, or throws a ValidationError.
+export function validateArguments(schema, args) {
+  const errors = [];
+  const value = check(schema, args ?? {}, '', errors);
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  return value;
+}
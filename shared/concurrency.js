@@ -0,0 +1,19 @@
+// Run an async function over items with at most `limit` calls in flight. Used by the MCP
+// server's batch tools and the HTTP bridge's parallel tool calls.
+// Results keep the input order.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+
+  return results;
+}
@@ -0,0 +1,143 @@
+// Minimal Prometheus metrics: counters, gauges and histograms with labels,
+// rendered in the text exposition format served at /metrics.
+// Used by both the MCP server and the HTTP bridge; each process has its own registry.
+
+// Latency buckets in seconds, from cache hits to slow upstream calls
+export const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    // Serialized label values -> { labels, ...state }
+    this.series = new Map();
+  }
+
+  // Series for a label set; labels not declared for the metric are ignored, missing ones are empty
+  seriesFor(labels, create) {
+    const values = {};
+    for (const name of this.labelNames) {
+      values[name] = labels[name] ?? '';
+    }
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: values, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}`;
+  }
+}
+
+export class Counter extends Metric {
+  get type() { return 'counter'; }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  render() {
+    const lines = [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${value}`);
+    return [this.header(), ...lines].join('\n');
+  }
+}
+
+export class Gauge extends Counter {
+  get type() { return 'gauge'; }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+
+  set(labels = {}, value) {
+    this.seriesFor(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+export class Histogram extends Metric {
+  constructor(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  get type() { return 'histogram'; }
+
+  observe(labels = {}, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Start a timer; calling the returned function records the elapsed seconds
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  render() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return [this.header(), ...lines].join('\n');
+  }
+}
+
+export class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames) {
+    return this.register(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n\n') + '\n';
+  }
+}
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+export const registry = new Registry();
@@ -0,0 +1,181 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { PassThrough, Readable } from 'stream';
+
+// Upstream HTTP layer with three modes, selected by UPSTREAM_MODE:
+//   live   - requests go straight to the upstream API (default)
+//   record - requests go upstream and each response is saved as a JSON fixture
+//   replay - responses come from saved fixtures only; a missing fixture is an error
+// Fixtures are keyed by method, URL and body with secrets removed, so recording and
+// replaying with different tokens (or none) finds the same file.
+// Streamed responses (responseType 'stream') are recorded as text once the stream
+// ends and replayed as a stream of that text.
+// Shared by the MCP server (Mapbox) and the HTTP bridge (Anthropic); each passes its own
+// axios as the transport, so this module needs no dependencies.
+
+export const UPSTREAM_MODES = ['live', 'record', 'replay'];
+
+const REDACTED = 'REDACTED';
+// Query parameters that carry credentials
+const SECRET_PARAMS = ['access_token', 'api_key', 'key'];
+
+export class FixtureMissError extends Error {
+  constructor(request, file) {
+    super(`No recorded fixture for ${request.method.toUpperCase()} ${request.url} (expected ${file}); ` +
+      'record it with UPSTREAM_MODE=record');
+    this.name = 'FixtureMissError';
+    this.code = 'FixtureMissing';
+  }
+}
+
+// Remove credential query parameters from a URL
+function scrubUrl(url) {
+  const parsed = new URL(url);
+  for (const param of SECRET_PARAMS) {
+    if (parsed.searchParams.has(param)) {
+      parsed.searchParams.set(param, REDACTED);
+    }
+  }
+  return parsed.toString();
+}
+
+// Replace every occurrence of a secret value in a string
+function scrubText(text, secrets) {
+  return secrets.reduce((result, secret) => result.split(secret).join(REDACTED), text);
+}
+
+export class Upstream {
+  constructor({ name, mode = 'live', fixturesDir = 'fixtures', secrets = [], transport } = {}) {
+    if (!UPSTREAM_MODES.includes(mode)) {
+      throw new Error(`Unknown upstream mode "${mode}", expected one of ${UPSTREAM_MODES.join(', ')}`);
+    }
+
+    this.name = name;
+    this.mode = mode;
+    this.dir = path.join(fixturesDir, name);
+    this.setSecrets(secrets);
+    // Anything with axios.request's signature, e.g. config => axios.request(config) or a stub in tests
+    this.transport = transport;
+  }
+
+  // Values to scrub from fixtures; very short values (placeholders like "x") would mangle unrelated text
+  setSecrets(secrets) {
+    this.secrets = secrets.filter(secret => secret && secret.length >= 8);
+  }
+
+  // Scrubbed request description, used both as the fixture key and stored in the fixture
+  describe({ method = 'get', url, data }) {
+    return {
+      method: method.toLowerCase(),
+      url: scrubText(scrubUrl(url), this.secrets),
+      body: data === undefined ? undefined : JSON.parse(scrubText(JSON.stringify(data), this.secrets))
+    };
+  }
+
+  fixturePath(request) {
+    const hash = crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex').slice(0, 16);
+    const slug = new URL(request.url).pathname.split('/').filter(Boolean).slice(0, 3).join('-')
+      .replace(/[^a-zA-Z0-9.-]/g, '_');
+    return path.join(this.dir, `${request.method}-${slug}-${hash}.json`);
+  }
+
+  // Same contract as axios.request: resolves with { status, headers, data } or
+  // rejects with an error carrying .response for non-2xx statuses
+  async request(config) {
+    if (this.mode === 'live') {
+      return this.transport(config);
+    }
+
+    const request = this.describe(config);
+    const file = this.fixturePath(request);
+
+    if (this.mode === 'replay') {
+      return this.replay(request, file, config);
+    }
+
+    let response;
+    let failure;
+    try {
+      response = await this.transport(config);
+    } catch (error) {
+      // Error responses are recorded too; network failures are not
+      if (!error.response) throw error;
+      failure = error;
+      response = error.response;
+    }
+
+    if (config.responseType === 'stream') {
+      this.recordStream(file, request, response, config);
+    } else {
+      await this.save(file, request, response, config);
+    }
+
+    if (failure) throw failure;
+    return response;
+  }
+
+  // Pass a streamed body through to the caller unchanged and save it when it ends
+  recordStream(file, request, response, config) {
+    const source = response.data;
+    const passThrough = new PassThrough();
+    const chunks = [];
+
+    source.on('data', chunk => {
+      chunks.push(chunk);
+      passThrough.write(chunk);
+    });
+    source.on('end', () => {
+      passThrough.end();
+      const text = Buffer.concat(chunks).toString('utf8');
+      this.save(file, request, { ...response, data: text }, config)
+        .catch(error => console.error(`Failed to save fixture ${file}:`, error.message));
+    });
+    source.on('error', error => passThrough.destroy(error));
+
+    response.data = passThrough;
+  }
+
+  async save(file, request, response, config) {
+    const encoding = { arraybuffer: 'base64', stream: 'text' }[config.responseType] || 'json';
+    const fixture = {
+      request,
+      response: {
+        status: response.status,
+        headers: { 'content-type': response.headers?.['content-type'] },
+        encoding,
+        data: encoding === 'base64' ? Buffer.from(response.data).toString('base64') : response.data
+      }
+    };
+
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(file, scrubText(JSON.stringify(fixture, null, 2), this.secrets) + '\n');
+  }
+
+  async replay(request, file, config) {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new FixtureMissError(request, file);
+      throw error;
+    }
+
+    const { status, headers, encoding, data } = fixture.response;
+    let body = encoding === 'base64' ? Buffer.from(data, 'base64') : data;
+    if (config.responseType === 'stream') {
+      body = Readable.from([Buffer.from(typeof body === 'string' ? body : JSON.stringify(body))]);
+    }
+    const response = { status, headers, data: body, config };
+
+    if (status >= 200 && status < 300) {
+      return response;
+    }
+
+    // Same shape as an axios error, so callers handle replayed failures like live ones
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = response;
+    error.config = config;
+    throw error;
+  }
+}